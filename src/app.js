@@ -100,16 +100,61 @@ app.use((req, res) => {
       '--- KEY METRICS ---',
       'GET /api/l1-summary-data?from=YYYY-MM-DD&to=YYYY-MM-DD',
       'GET /api/l1-unique-visitors?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (add &granularity=day|week|month to any key metric for a per-bucket series)',
+      '  (add &segment=member_tier to summary data for the key metrics per member tier + non-members)',
       'GET /api/l1-total-bookings?from=YYYY-MM-DD&to=YYYY-MM-DD',
       'GET /api/l1-room-nights?from=YYYY-MM-DD&to=YYYY-MM-DD',
       'GET /api/l1-total-revenue?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (add &currency=EUR to revenue, ABV, ADR, summary data and summary cards to report in another currency from pythia_db.currencies, default USD)',
       'GET /api/l1-abv?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-adr?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-alos?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-avg-time-on-site?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '--- SUMMARY CARDS ---',
+      'GET /api/l1-summary-cards?from=YYYY-MM-DD&to=YYYY-MM-DD',
       '--- CHARTS ---',
       'GET /api/l1-awareness-engagement?from=YYYY-MM-DD&to=YYYY-MM-DD',
       'GET /api/l1-conversions?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (add &currency=EUR for revenue trends in another currency, default USD)',
+      'GET /api/l1-booking-lead-time?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (lead time: &buckets=1,7,30,90 to set the histogram upper bounds in days)',
       'GET /api/l1-stay-poststay?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-upsell?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (upsell: &granularity=day|week|month, &currency=EUR)',
+      'GET /api/l1-revenue-composition?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (room / add-on net and tax: &granularity=day|week|month, default month, &currency=EUR)',
+      'GET /api/l1-card-type-mix?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (card types per bucket and hotel: &granularity=day|week|month, default month, &currency=EUR)',
+      'GET /api/l1-ancillary-revenue?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (add-ons: &granularity=day|week|month, &currency=EUR)',
+      '  (add &mode=exact|sampled|fast|auto to any chart to pick the accuracy mode, &seed=N to change the repeatable sample)',
+      '  (add &hotel=&brand=&country=&destination= to any metric, card or chart to filter by property)',
+      '--- TOP LISTS ---',
+      'GET /api/l1-top-channels?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-top-entry-pages?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-top-exit-pages?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-top-rate-plans?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-top-rooms?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (add &page=N&page_size=N to page through a list; property filters match hotels by property code)',
+      '--- PERFORMANCE REPORTS ---',
+      'GET /api/l1-rate-plan-report?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-offer-report?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-access-code-report?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-room-type-report?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (add &sort=views|selections|bookings|room_nights|revenue|abv|avg_booked_rate|conversion_rate&order=desc|asc&min_volume=N, &page=N&page_size=N, &currency=EUR)',
+      '--- LEAD GENERATION ---',
+      'GET /api/l1-lead-generation?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '--- FORWARD DEMAND ---',
+      'GET /api/l1-on-the-books?from=YYYY-MM-DD&to=YYYY-MM-DD&destination=CODE',
+      'GET /api/l1-search-demand?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      '  (from/to is the booking or search window; &stay_from=&stay_to= for the stay / arrival dates, default 90 days)',
+      '--- LOYALTY ---',
+      'GET /api/l1-loyalty?from=YYYY-MM-DD&to=YYYY-MM-DD',
       '--- HELPERS ---',
-      'GET /api/l1-date-ranges'
+      'GET /api/l1-filter-options?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      'GET /api/l1-date-ranges',
+      'GET /api/l1-cache',
+      'DELETE /api/l1-cache?endpoint=getL1UniqueVisitors&from=YYYY-MM-DD&to=YYYY-MM-DD (X-Cache-Admin-Token header)'
     ]
   });
 });
@@ -1,12 +1,34 @@
 const express = require('express');
+const crypto = require('crypto');
 const { 
   getL1UniqueVisitors, 
   getL1TotalBookings, 
   getL1RoomNights, 
   getL1TotalRevenue, 
-  getL1ABV 
+  getL1ABV,
+  getL1AvgTimeOnSite,
+  getL1ADR,
+  getL1ALOS,
+  getL1TrafficSummary,
+  getL1ConversionSummary,
+  getL1RevenueSummary,
+  getL1StaySummary
 } = require('../services/l1MetricsService');
 
+// Import per-bucket time series for the key metrics
+const {
+  getL1UniqueVisitorsSeries,
+  getL1TotalBookingsSeries,
+  getL1RoomNightsSeries,
+  getL1TotalRevenueSeries,
+  getL1ABVSeries,
+  getL1AvgTimeOnSiteSeries,
+  getL1ADRSeries,
+  getL1ALOSSeries
+} = require('../services/l1TimeSeriesService');
+const { GRANULARITIES, MAX_STAY_WINDOW_DAYS, isValidGranularity, resolveStayWindow } = require('../services/sql/dateBuckets');
+const { SAMPLING_MODES, MAX_SAMPLING_SEED, isValidSamplingMode, isValidSamplingSeed } = require('../services/sql/sampling');
+
 // Import unlimited rate limiter configuration
 const { createRateLimiter } = require('../middleware/rateLimiter');
 
@@ -17,9 +39,52 @@ const { withDynamicScaling } = require('../middleware/dynamicScaling');
 const {
   getL1AwarenessEngagementData,
   getL1ConversionsData,
-  getL1StayPostStayData
+  getL1StayPostStayData,
+  getL1UpsellData,
+  getBookingLeadTime,
+  parseLeadTimeBuckets
 } = require('../services/l1ChartsService');
 
+// Import key metric breakdowns (segment=member_tier)
+const { SEGMENT_NAMES, isValidSegment, getL1KeyMetricsBySegment } = require('../services/l1SegmentService');
+
+// Import property filters (hotel / brand / country / destination)
+const { FILTER_PARAMS, AGGREGATE_FILTER_PARAMS, parseFilters, hasFilters, toHotelIdFilters } = require('../services/sql/filters');
+const { getL1FilterOptions } = require('../services/l1FilterOptionsService');
+
+// Import ranked lists from the pre-aggregated top_* tables
+const { getL1TopList } = require('../services/l1TopListsService');
+const { parsePagination } = require('../services/sql/pagination');
+
+// Import rate plan / offer / access code / room type performance reports
+const { parseReportSorting, getL1DimensionReport } = require('../services/l1DimensionReportService');
+
+// Import revenue composition (room / add-on net and tax)
+const { getL1RevenueComposition } = require('../services/l1RevenueCompositionService');
+
+// Import payment card type mix
+const { getL1CardTypeMix } = require('../services/l1CardTypeService');
+
+// Import add-on / "personalize your stay" ancillary revenue
+const { getL1AncillaryRevenue } = require('../services/l1AncillaryService');
+
+// Import lead generation (member sign-ups / wedding enquiries)
+const { getL1LeadGeneration } = require('../services/l1LeadGenerationService');
+
+// Import loyalty (GHA DISCOVERY balances per member tier)
+const { getL1Loyalty } = require('../services/l1LoyaltyService');
+
+// Import on-the-books stay calendar and search demand (forward-looking demand)
+const { getL1OnTheBooks } = require('../services/l1OnTheBooksService');
+const { getL1SearchDemand } = require('../services/l1SearchDemandService');
+
+// Import reporting currency lookup
+const { DEFAULT_CURRENCY } = require('../services/sql/currency');
+const { getSupportedCurrencies, resolveCurrency } = require('../services/currencyService');
+
+// Import result cache controls
+const { purgeCache, getCacheStats, isValidEndpoint } = require('../services/cacheService');
+
 const router = express.Router();
 
 /**
@@ -83,18 +148,296 @@ function validateDateParams(req, res, next) {
   next();
 }
 
+/**
+ * Validate optional granularity parameter (day | week | month)
+ */
+function validateGranularity(req, res, next) {
+  const { granularity } = req.query;
+  
+  if (granularity !== undefined && !isValidGranularity(granularity)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid granularity',
+      message: `"granularity" must be one of: ${GRANULARITIES.join(', ')}`,
+      example: '/api/l1-unique-visitors?from=2025-07-01&to=2025-07-31&granularity=week'
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Validate optional segment parameter for key metric breakdowns (member_tier)
+ */
+function validateSegment(req, res, next) {
+  const { segment } = req.query;
+  
+  if (segment !== undefined && !isValidSegment(segment)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid segment',
+      message: `"segment" must be one of: ${SEGMENT_NAMES.join(', ')}`,
+      example: '/api/l1-summary-data?from=2025-07-01&to=2025-07-07&segment=member_tier'
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Validate optional lead-time histogram buckets (ascending upper bounds in days) into req.leadTimeBuckets
+ */
+function validateLeadTimeBuckets(req, res, next) {
+  const { bounds, errors } = parseLeadTimeBuckets(req.query.buckets);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid buckets',
+      message: errors.join('; '),
+      example: '/api/l1-booking-lead-time?from=2025-07-01&to=2025-07-31&buckets=1,7,30,90'
+    });
+  }
+  
+  req.leadTimeBuckets = bounds;
+  next();
+}
+
+/**
+ * Validate optional stay_from / stay_to parameters into req.stayWindow (defaults in sql/dateBuckets.js)
+ */
+function validateStayWindow(req, res, next) {
+  const { from, stay_from: stayFrom, stay_to: stayTo } = req.query;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  
+  const invalid = [stayFrom, stayTo].some(date => date !== undefined && (!dateRegex.test(date) || isNaN(new Date(date).getTime())));
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date format',
+      message: '"stay_from" and "stay_to" must be valid dates in YYYY-MM-DD format',
+      example: `${req.baseUrl}${req.path}?from=2025-07-01&to=2025-07-31&stay_from=2025-08-01&stay_to=2025-10-31`
+    });
+  }
+  
+  const stayWindow = resolveStayWindow(from, stayFrom, stayTo);
+  const spanDays = Math.round((new Date(stayWindow.stayTo) - new Date(stayWindow.stayFrom)) / (1000 * 60 * 60 * 24)) + 1;
+  
+  if (spanDays < 1 || spanDays > MAX_STAY_WINDOW_DAYS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid stay window',
+      message: `"stay_from" must be on or before "stay_to" and the stay window at most ${MAX_STAY_WINDOW_DAYS} days`
+    });
+  }
+  
+  req.stayWindow = stayWindow;
+  next();
+}
+
+/**
+ * Validate optional accuracy mode (exact | sampled | fast | auto) and sampling seed
+ * parameters for chart routes
+ */
+function validateSamplingMode(req, res, next) {
+  const { mode, seed } = req.query;
+  
+  if (mode !== undefined && !isValidSamplingMode(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid mode',
+      message: `"mode" must be one of: ${SAMPLING_MODES.join(', ')}`,
+      example: '/api/l1-conversions?from=2025-07-01&to=2025-07-07&mode=exact'
+    });
+  }
+  
+  if (seed !== undefined && !isValidSamplingSeed(seed)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid seed',
+      message: `"seed" must be an integer between 0 and ${MAX_SAMPLING_SEED}`,
+      example: '/api/l1-conversions?from=2025-07-01&to=2025-07-07&seed=42'
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Parse optional property filters into req.filters
+ * hotel=, brand=, country=, destination= - each one value or a comma-separated list
+ */
+function parseFilterParams(req, res, next) {
+  const { filters, errors } = parseFilters(req.query);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid filter parameters',
+      message: errors.join('; '),
+      example: '/api/l1-summary-data?from=2025-07-01&to=2025-07-07&brand=PARKROYAL&destination=ppsin,pphkg'
+    });
+  }
+  
+  req.filters = filters;
+  next();
+}
+
+/**
+ * Parse optional property filters for routes backed by pre-aggregated tables,
+ * which only carry the property code (HotelID): hotel=, brand= and country= are turned
+ * into the codes of the matching hotels (from the cached filter options for the range)
+ */
+function parseAggregateFilterParams(req, res, next) {
+  parseFilterParams(req, res, async () => {
+    const propertyParams = Object.keys(req.filters).filter(param => !AGGREGATE_FILTER_PARAMS.includes(param));
+    if (propertyParams.length === 0) return next();
+    
+    try {
+      const options = await getL1FilterOptions(req.query.from, req.query.to);
+      if (!options.success) {
+        throw new Error(options.error);
+      }
+      
+      req.filters = toHotelIdFilters(req.filters, options.hotels);
+      next();
+      
+    } catch (error) {
+      console.error('❌ API Error in property code lookup:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+}
+
+/**
+ * Validate optional page / page_size parameters into req.pagination
+ */
+function validatePagination(req, res, next) {
+  const { pagination, errors } = parsePagination(req.query);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid pagination parameters',
+      message: errors.join('; '),
+      example: '/api/l1-top-entry-pages?from=2025-07-01&to=2025-07-07&page=2&page_size=20'
+    });
+  }
+  
+  req.pagination = pagination;
+  next();
+}
+
+/**
+ * Validate optional sort / order / min_volume parameters for performance reports into req.sorting
+ */
+function validateReportSorting(req, res, next) {
+  const { sorting, errors } = parseReportSorting(req.query);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid sorting parameters',
+      message: errors.join('; '),
+      example: '/api/l1-rate-plan-report?from=2025-07-01&to=2025-07-07&sort=conversion_rate&order=desc&min_volume=100'
+    });
+  }
+  
+  req.sorting = sorting;
+  next();
+}
+
+/**
+ * Validate optional reporting currency into req.currency (defaults to USD)
+ * currency= must be a code from pythia_db.currencies
+ */
+async function validateCurrency(req, res, next) {
+  const { currency } = req.query;
+  
+  if (currency === undefined) {
+    req.currency = DEFAULT_CURRENCY;
+    return next();
+  }
+  
+  try {
+    const resolved = await resolveCurrency(currency);
+    
+    if (!resolved) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: '"currency" must be a currency code from pythia_db.currencies',
+        supported_currencies: await getSupportedCurrencies(),
+        example: '/api/l1-total-revenue?from=2025-07-01&to=2025-07-07&currency=EUR'
+      });
+    }
+    
+    req.currency = resolved;
+    next();
+    
+  } catch (error) {
+    console.error('❌ API Error in currency lookup:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Require the cache admin token for cache maintenance routes
+ * The X-Cache-Admin-Token header must match CACHE_ADMIN_TOKEN; with no token configured
+ * the routes are disabled
+ */
+function requireCacheAdmin(req, res, next) {
+  const adminToken = process.env.CACHE_ADMIN_TOKEN;
+  
+  if (!adminToken) {
+    return res.status(403).json({
+      success: false,
+      error: 'Cache purge disabled',
+      message: 'Set CACHE_ADMIN_TOKEN to enable cache purges'
+    });
+  }
+  
+  const providedToken = Buffer.from(req.get('X-Cache-Admin-Token') || '');
+  const expectedToken = Buffer.from(adminToken);
+  
+  if (providedToken.length !== expectedToken.length || !crypto.timingSafeEqual(providedToken, expectedToken)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'A valid X-Cache-Admin-Token header is required'
+    });
+  }
+  
+  next();
+}
+
 /**
  * GET /api/l1-summary-data
- * Returns key metrics (Unique Visitors + Total Bookings)
- * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ * Returns key metrics (Unique Visitors, Total Bookings, Room Nights, Total Revenue, ABV, ADR, ALOS)
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD, granularity=day|week|month (optional series)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ *   segment=member_tier (optional breakdown of the key metrics per segment)
+ *   currency=<code> (optional, default USD - revenue, ABV and ADR)
+ * avg_time_on_site comes from a site-wide table - it is null, with avg_time_on_site_note,
+ * when filters are set or its query fails
  */
-router.get('/l1-summary-data', validateDateParams, async (req, res) => {
+router.get('/l1-summary-data', validateDateParams, validateGranularity, validateSegment, parseFilterParams, validateCurrency, async (req, res) => {
   try {
-    const { from, to } = req.query;
+    const { from, to, granularity, segment } = req.query;
     const startTime = Date.now();
+    const options = { filters: req.filters, currency: req.currency };
+    const includeTimeOnSite = !hasFilters(req.filters);
     
     
-    // Use dynamic scaling for this heavy operation (5 parallel queries)
+    // Use dynamic scaling for this heavy operation (7 parallel queries)
     const queryInfo = req.scalingInfo?.queryInfo || { 
       endpoint: 'l1-summary-data', 
       fromDate: from, 
@@ -102,13 +445,16 @@ router.get('/l1-summary-data', validateDateParams, async (req, res) => {
     };
     
     const results = await withDynamicScaling(queryInfo, async () => {
-      // Get all 5 key metrics in parallel for maximum performance
+      // Get all 7 key metrics in parallel for maximum performance
       return await Promise.all([
-        getL1UniqueVisitors(from, to),
-        getL1TotalBookings(from, to),
-        getL1RoomNights(from, to),
-        getL1TotalRevenue(from, to),
-        getL1ABV(from, to)
+        getL1UniqueVisitors(from, to, options),
+        getL1TotalBookings(from, to, options),
+        getL1RoomNights(from, to, options),
+        getL1TotalRevenue(from, to, options),
+        getL1ABV(from, to, options),
+        getL1ADR(from, to, options),
+        getL1ALOS(from, to, options),
+        includeTimeOnSite ? getL1AvgTimeOnSite(from, to) : null
       ]);
     });
     
@@ -117,14 +463,46 @@ router.get('/l1-summary-data', validateDateParams, async (req, res) => {
       totalBookingsResult, 
       roomNightsResult, 
       totalRevenueResult, 
-      abvResult
+      abvResult,
+      adrResult,
+      alosResult,
+      timeOnSiteResult
     ] = results;
     
+    // Optional sparkline series for each KPI tile
+    const seriesResults = granularity
+      ? await withDynamicScaling(queryInfo, async () => {
+          return await Promise.all([
+            getL1UniqueVisitorsSeries(from, to, { ...options, granularity }),
+            getL1TotalBookingsSeries(from, to, { ...options, granularity }),
+            getL1RoomNightsSeries(from, to, { ...options, granularity }),
+            getL1TotalRevenueSeries(from, to, { ...options, granularity }),
+            getL1ABVSeries(from, to, { ...options, granularity }),
+            getL1ADRSeries(from, to, { ...options, granularity }),
+            getL1ALOSSeries(from, to, { ...options, granularity }),
+            includeTimeOnSite ? getL1AvgTimeOnSiteSeries(from, to, { granularity }) : null
+          ]);
+        })
+      : [];
+    
+    // Optional per-segment breakdown of the key metrics
+    const segmentResult = segment
+      ? await withDynamicScaling(queryInfo, async () => {
+          return await getL1KeyMetricsBySegment(from, to, { ...options, segment });
+        })
+      : null;
+    
     const endTime = Date.now();
     const responseTime = endTime - startTime;
     
+    // Time on site is optional - it is reported as null with a note instead of failing the KPIs
+    const timeOnSiteSeriesResult = seriesResults[7] || null;
+    const timeOnSiteNote = !includeTimeOnSite
+      ? 'not available with filters'
+      : (!timeOnSiteResult.success ? `query failed: ${timeOnSiteResult.error}` : null);
+    
     // Check if all queries succeeded - handle null results from cache misses
-    const allResults = [uniqueVisitorsResult, totalBookingsResult, roomNightsResult, totalRevenueResult, abvResult].filter(result => result !== null);
+    const allResults = [uniqueVisitorsResult, totalBookingsResult, roomNightsResult, totalRevenueResult, abvResult, adrResult, alosResult, segmentResult, ...seriesResults.slice(0, 7)].filter(result => result !== null);
     const failedResults = allResults.filter(result => result && !result.success);
     
     if (failedResults.length > 0) {
@@ -144,13 +522,36 @@ router.get('/l1-summary-data', validateDateParams, async (req, res) => {
           total_bookings: totalBookingsResult.total_bookings,
           room_nights: roomNightsResult.room_nights,
           total_revenue: totalRevenueResult.total_revenue,
-          abv: abvResult.abv
+          abv: abvResult.abv,
+          adr: adrResult.adr,
+          alos: alosResult.alos,
+          avg_time_on_site: timeOnSiteNote ? null : timeOnSiteResult.avg_time_on_site,
+          ...(timeOnSiteNote && { avg_time_on_site_note: timeOnSiteNote })
         },
+        ...(granularity && {
+          granularity,
+          key_metrics_series: {
+            unique_visitors: seriesResults[0].series,
+            total_bookings: seriesResults[1].series,
+            room_nights: seriesResults[2].series,
+            total_revenue: seriesResults[3].series,
+            abv: seriesResults[4].series,
+            adr: seriesResults[5].series,
+            alos: seriesResults[6].series,
+            avg_time_on_site: timeOnSiteSeriesResult && timeOnSiteSeriesResult.success ? timeOnSiteSeriesResult.series : null
+          }
+        }),
+        ...(segmentResult && {
+          segment,
+          key_metrics_by_segment: segmentResult.data
+        }),
+        currency: req.currency,
         data_source: "REAL DATABASE DATA - Azure MSSQL pppythia",
+        ...(hasFilters(req.filters) && { filters: req.filters }),
         date_range: `${from} to ${to}`,
         query_performance: {
           response_time_ms: responseTime,
-          metrics_count: 5,
+          metrics_count: timeOnSiteNote ? 7 : 8,
           parallel_execution: true
         }
       }
@@ -171,22 +572,27 @@ router.get('/l1-summary-data', validateDateParams, async (req, res) => {
 /**
  * GET /api/l1-unique-visitors
  * Returns only unique visitors metric
- * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD, granularity=day|week|month (optional series)
+ *   hotel=, brand=, country=, destination= (optional filters)
  */
-router.get('/l1-unique-visitors', validateDateParams, async (req, res) => {
+router.get('/l1-unique-visitors', validateDateParams, validateGranularity, parseFilterParams, async (req, res) => {
   try {
-    const { from, to } = req.query;
+    const { from, to, granularity } = req.query;
     const startTime = Date.now();
+    const options = { filters: req.filters };
     
     
-    const result = await getL1UniqueVisitors(from, to);
+    const [result, seriesResult] = await Promise.all([
+      getL1UniqueVisitors(from, to, options),
+      granularity ? getL1UniqueVisitorsSeries(from, to, { ...options, granularity }) : null
+    ]);
     const responseTime = Date.now() - startTime;
     
-    if (!result.success) {
+    if (!result.success || (seriesResult && !seriesResult.success)) {
       return res.status(500).json({
         success: false,
         error: 'Database query failed',
-        message: result.error
+        message: result.error || seriesResult.error
       });
     }
     
@@ -195,6 +601,8 @@ router.get('/l1-unique-visitors', validateDateParams, async (req, res) => {
       result: {
         metric: 'unique_visitors',
         value: result.unique_visitors,
+        ...(seriesResult && { granularity, series: seriesResult.series }),
+        ...(hasFilters(req.filters) && { filters: req.filters }),
         date_range: `${from} to ${to}`,
         query_time_ms: responseTime
       }
@@ -215,22 +623,27 @@ router.get('/l1-unique-visitors', validateDateParams, async (req, res) => {
 /**
  * GET /api/l1-total-bookings
  * Returns only total bookings metric
- * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD, granularity=day|week|month (optional series)
+ *   hotel=, brand=, country=, destination= (optional filters)
  */
-router.get('/l1-total-bookings', validateDateParams, async (req, res) => {
+router.get('/l1-total-bookings', validateDateParams, validateGranularity, parseFilterParams, async (req, res) => {
   try {
-    const { from, to } = req.query;
+    const { from, to, granularity } = req.query;
     const startTime = Date.now();
+    const options = { filters: req.filters };
     
     
-    const result = await getL1TotalBookings(from, to);
+    const [result, seriesResult] = await Promise.all([
+      getL1TotalBookings(from, to, options),
+      granularity ? getL1TotalBookingsSeries(from, to, { ...options, granularity }) : null
+    ]);
     const responseTime = Date.now() - startTime;
     
-    if (!result.success) {
+    if (!result.success || (seriesResult && !seriesResult.success)) {
       return res.status(500).json({
         success: false,
         error: 'Database query failed',
-        message: result.error
+        message: result.error || seriesResult.error
       });
     }
     
@@ -239,6 +652,8 @@ router.get('/l1-total-bookings', validateDateParams, async (req, res) => {
       result: {
         metric: 'total_bookings',
         value: result.total_bookings,
+        ...(seriesResult && { granularity, series: seriesResult.series }),
+        ...(hasFilters(req.filters) && { filters: req.filters }),
         date_range: `${from} to ${to}`,
         query_time_ms: responseTime
       }
@@ -259,22 +674,27 @@ router.get('/l1-total-bookings', validateDateParams, async (req, res) => {
 /**
  * GET /api/l1-room-nights
  * Returns only room nights metric
- * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD, granularity=day|week|month (optional series)
+ *   hotel=, brand=, country=, destination= (optional filters)
  */
-router.get('/l1-room-nights', validateDateParams, async (req, res) => {
+router.get('/l1-room-nights', validateDateParams, validateGranularity, parseFilterParams, async (req, res) => {
   try {
-    const { from, to } = req.query;
+    const { from, to, granularity } = req.query;
     const startTime = Date.now();
+    const options = { filters: req.filters };
     
     
-    const result = await getL1RoomNights(from, to);
+    const [result, seriesResult] = await Promise.all([
+      getL1RoomNights(from, to, options),
+      granularity ? getL1RoomNightsSeries(from, to, { ...options, granularity }) : null
+    ]);
     const responseTime = Date.now() - startTime;
     
-    if (!result.success) {
+    if (!result.success || (seriesResult && !seriesResult.success)) {
       return res.status(500).json({
         success: false,
         error: 'Database query failed',
-        message: result.error
+        message: result.error || seriesResult.error
       });
     }
     
@@ -283,6 +703,8 @@ router.get('/l1-room-nights', validateDateParams, async (req, res) => {
       result: {
         metric: 'room_nights',
         value: result.room_nights,
+        ...(seriesResult && { granularity, series: seriesResult.series }),
+        ...(hasFilters(req.filters) && { filters: req.filters }),
         date_range: `${from} to ${to}`,
         query_time_ms: responseTime
       }
@@ -303,22 +725,28 @@ router.get('/l1-room-nights', validateDateParams, async (req, res) => {
 /**
  * GET /api/l1-total-revenue
  * Returns only total revenue metric
- * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD, granularity=day|week|month (optional series)
+ *   currency=<code> (optional, default USD)
+ *   hotel=, brand=, country=, destination= (optional filters)
  */
-router.get('/l1-total-revenue', validateDateParams, async (req, res) => {
+router.get('/l1-total-revenue', validateDateParams, validateGranularity, parseFilterParams, validateCurrency, async (req, res) => {
   try {
-    const { from, to } = req.query;
+    const { from, to, granularity } = req.query;
     const startTime = Date.now();
+    const options = { filters: req.filters, currency: req.currency };
     
     
-    const result = await getL1TotalRevenue(from, to);
+    const [result, seriesResult] = await Promise.all([
+      getL1TotalRevenue(from, to, options),
+      granularity ? getL1TotalRevenueSeries(from, to, { ...options, granularity }) : null
+    ]);
     const responseTime = Date.now() - startTime;
     
-    if (!result.success) {
+    if (!result.success || (seriesResult && !seriesResult.success)) {
       return res.status(500).json({
         success: false,
         error: 'Database query failed',
-        message: result.error
+        message: result.error || seriesResult.error
       });
     }
     
@@ -327,7 +755,9 @@ router.get('/l1-total-revenue', validateDateParams, async (req, res) => {
       result: {
         metric: 'total_revenue',
         value: result.total_revenue,
-        currency: 'USD',
+        currency: result.currency,
+        ...(seriesResult && { granularity, series: seriesResult.series }),
+        ...(hasFilters(req.filters) && { filters: req.filters }),
         date_range: `${from} to ${to}`,
         query_time_ms: responseTime
       }
@@ -348,22 +778,28 @@ router.get('/l1-total-revenue', validateDateParams, async (req, res) => {
 /**
  * GET /api/l1-abv
  * Returns only average booking value metric
- * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD, granularity=day|week|month (optional series)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ *   currency=<code> (optional, default USD)
  */
-router.get('/l1-abv', validateDateParams, async (req, res) => {
+router.get('/l1-abv', validateDateParams, validateGranularity, parseFilterParams, validateCurrency, async (req, res) => {
   try {
-    const { from, to } = req.query;
+    const { from, to, granularity } = req.query;
     const startTime = Date.now();
+    const options = { filters: req.filters, currency: req.currency };
     
     
-    const result = await getL1ABV(from, to);
+    const [result, seriesResult] = await Promise.all([
+      getL1ABV(from, to, options),
+      granularity ? getL1ABVSeries(from, to, { ...options, granularity }) : null
+    ]);
     const responseTime = Date.now() - startTime;
     
-    if (!result.success) {
+    if (!result.success || (seriesResult && !seriesResult.success)) {
       return res.status(500).json({
         success: false,
         error: 'Database query failed',
-        message: result.error
+        message: result.error || seriesResult.error
       });
     }
     
@@ -372,7 +808,9 @@ router.get('/l1-abv', validateDateParams, async (req, res) => {
       result: {
         metric: 'abv',
         value: result.abv,
-        currency: 'USD',
+        currency: result.currency,
+        ...(seriesResult && { granularity, series: seriesResult.series }),
+        ...(hasFilters(req.filters) && { filters: req.filters }),
         date_range: `${from} to ${to}`,
         calculation_details: result.calculation_details,
         query_time_ms: responseTime
@@ -392,48 +830,50 @@ router.get('/l1-abv', validateDateParams, async (req, res) => {
 });
 
 /**
- * GET /api/l1-awareness-engagement
- * Returns awareness & engagement charts data
- * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ * GET /api/l1-adr
+ * Returns only average daily rate metric (room revenue per room night, excluding add-ons and taxes)
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD, granularity=day|week|month (optional series)
+ *   currency=<code> (optional, default USD)
+ *   hotel=, brand=, country=, destination= (optional filters)
  */
-router.get('/l1-awareness-engagement', validateDateParams, async (req, res) => {
+router.get('/l1-adr', validateDateParams, validateGranularity, parseFilterParams, validateCurrency, async (req, res) => {
   try {
-    const { from, to } = req.query;
+    const { from, to, granularity } = req.query;
     const startTime = Date.now();
+    const options = { filters: req.filters, currency: req.currency };
     
-    // Set timeout headers for long-running analytics queries
-    res.setTimeout(300000); // 5 minutes timeout
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    
-    
-    const result = await getL1AwarenessEngagementData(from, to);
+    const [result, seriesResult] = await Promise.all([
+      getL1ADR(from, to, options),
+      granularity ? getL1ADRSeries(from, to, { ...options, granularity }) : null
+    ]);
     const responseTime = Date.now() - startTime;
     
-    if (!result.success) {
+    if (!result.success || (seriesResult && !seriesResult.success)) {
       return res.status(500).json({
         success: false,
-        error: 'Chart data query failed',
-        message: result.error,
-        details: result.details
+        error: 'Database query failed',
+        message: result.error || seriesResult.error
       });
     }
     
     res.json({
       success: true,
       result: {
-        ...result.result,
-        query_performance: {
-          response_time_ms: responseTime,
-          charts_loaded: 2
-        }
+        metric: 'adr',
+        value: result.adr,
+        currency: result.currency,
+        ...(seriesResult && { granularity, series: seriesResult.series }),
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        calculation_details: result.calculation_details,
+        query_time_ms: responseTime
       }
     });
     
-    console.log(`API: l1-awareness-engagement ${responseTime}ms`);
+    console.log(`API: l1-adr ${responseTime}ms`);
     
   } catch (error) {
-    console.error('❌ API Error in l1-awareness-engagement:', error);
+    console.error('❌ API Error in l1-adr:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -443,48 +883,49 @@ router.get('/l1-awareness-engagement', validateDateParams, async (req, res) => {
 });
 
 /**
- * GET /api/l1-conversions
- * Returns conversion charts data
- * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ * GET /api/l1-alos
+ * Returns only average length of stay metric (room nights per booking)
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD, granularity=day|week|month (optional series)
+ *   hotel=, brand=, country=, destination= (optional filters)
  */
-router.get('/l1-conversions', validateDateParams, async (req, res) => {
+router.get('/l1-alos', validateDateParams, validateGranularity, parseFilterParams, async (req, res) => {
   try {
-    const { from, to } = req.query;
+    const { from, to, granularity } = req.query;
     const startTime = Date.now();
+    const options = { filters: req.filters };
     
-    // Set timeout headers for long-running analytics queries
-    res.setTimeout(300000); // 5 minutes timeout
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    
-    
-    const result = await getL1ConversionsData(from, to);
+    const [result, seriesResult] = await Promise.all([
+      getL1ALOS(from, to, options),
+      granularity ? getL1ALOSSeries(from, to, { ...options, granularity }) : null
+    ]);
     const responseTime = Date.now() - startTime;
     
-    if (!result.success) {
+    if (!result.success || (seriesResult && !seriesResult.success)) {
       return res.status(500).json({
         success: false,
-        error: 'Chart data query failed',
-        message: result.error,
-        details: result.details
+        error: 'Database query failed',
+        message: result.error || seriesResult.error
       });
     }
     
     res.json({
       success: true,
       result: {
-        ...result.result,
-        query_performance: {
-          response_time_ms: responseTime,
-          charts_loaded: 2
-        }
+        metric: 'alos',
+        value: result.alos,
+        unit: 'nights',
+        ...(seriesResult && { granularity, series: seriesResult.series }),
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        calculation_details: result.calculation_details,
+        query_time_ms: responseTime
       }
     });
     
-    console.log(`API: l1-conversions ${responseTime}ms`);
+    console.log(`API: l1-alos ${responseTime}ms`);
     
   } catch (error) {
-    console.error('❌ API Error in l1-conversions:', error);
+    console.error('❌ API Error in l1-alos:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -494,48 +935,941 @@ router.get('/l1-conversions', validateDateParams, async (req, res) => {
 });
 
 /**
- * GET /api/l1-stay-poststay
- * Returns stay & post-stay charts data
- * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ * GET /api/l1-avg-time-on-site
+ * Returns average seconds spent per visit for the range and as a series
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD, granularity=day|week|month (optional, default day)
+ * The source table is site-wide, so property filters are not accepted
  */
-router.get('/l1-stay-poststay', validateDateParams, async (req, res) => {
+router.get('/l1-avg-time-on-site', validateDateParams, validateGranularity, parseFilterParams, async (req, res) => {
   try {
-    const { from, to } = req.query;
+    const { from, to, granularity = 'day' } = req.query;
     const startTime = Date.now();
     
-    // Set timeout headers for long-running analytics queries
-    res.setTimeout(300000); // 5 minutes timeout (this endpoint is the slowest)
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    
+    if (hasFilters(req.filters)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filter parameters',
+        message: 'Average time on site is only available site-wide - remove hotel, brand, country and destination filters',
+        example: '/api/l1-avg-time-on-site?from=2025-07-01&to=2025-07-07'
+      });
+    }
     
-    const result = await getL1StayPostStayData(from, to);
+    const [result, seriesResult] = await Promise.all([
+      getL1AvgTimeOnSite(from, to),
+      getL1AvgTimeOnSiteSeries(from, to, { granularity })
+    ]);
     const responseTime = Date.now() - startTime;
     
-    if (!result.success) {
+    if (!result.success || !seriesResult.success) {
       return res.status(500).json({
         success: false,
-        error: 'Chart data query failed',
-        message: result.error,
-        details: result.details
+        error: 'Database query failed',
+        message: result.error || seriesResult.error
       });
     }
     
     res.json({
       success: true,
       result: {
-        ...result.result,
-        query_performance: {
-          response_time_ms: responseTime,
-          charts_loaded: 2
+        metric: 'avg_time_on_site',
+        value: result.avg_time_on_site,
+        unit: 'seconds',
+        granularity,
+        series: seriesResult.series,
+        date_range: `${from} to ${to}`,
+        calculation_details: result.calculation_details,
+        query_time_ms: responseTime
+      }
+    });
+    
+    console.log(`API: l1-avg-time-on-site ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-avg-time-on-site:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-summary-cards
+ * Returns the 4 summary cards (traffic, conversion, revenue, stay) with
+ * month-over-month and year-over-year deltas
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   hotel=, brand=, country=, destination= (optional filters)
+ *   currency=<code> (optional, default USD - revenue and stay cards)
+ */
+router.get('/l1-summary-cards', validateDateParams, parseFilterParams, validateCurrency, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, currency: req.currency };
+    
+    // Each card reruns its metric over 3 windows (current, -1 month, -1 year)
+    const queryInfo = req.scalingInfo?.queryInfo || { 
+      endpoint: 'l1-summary-cards', 
+      fromDate: from, 
+      toDate: to 
+    };
+    
+    const [trafficResult, conversionResult, revenueResult, stayResult] = await withDynamicScaling(queryInfo, async () => {
+      return await Promise.all([
+        getL1TrafficSummary(from, to, options),
+        getL1ConversionSummary(from, to, options),
+        getL1RevenueSummary(from, to, options),
+        getL1StaySummary(from, to, options)
+      ]);
+    });
+    
+    const responseTime = Date.now() - startTime;
+    
+    const failedResults = [trafficResult, conversionResult, revenueResult, stayResult].filter(result => !result.success);
+    
+    if (failedResults.length > 0) {
+      return res.status(500).json({
+        success: false,
+        error: 'One or more summary card queries failed',
+        failed_cards: failedResults.map(result => result.error)
+      });
+    }
+    
+    // Strip service bookkeeping fields so each card matches the spec'd shape
+    const toCard = ({ success, query_time, cached, comparison_periods, ...card }) => card;
+    
+    res.json({
+      success: true,
+      result: {
+        summary_cards: {
+          traffic_summary: toCard(trafficResult),
+          conversion_summary: toCard(conversionResult),
+          revenue_summary: toCard(revenueResult),
+          stay_summary: toCard(stayResult)
+        },
+        comparison_periods: trafficResult.comparison_periods,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        query_performance: {
+          response_time_ms: responseTime,
+          cards_count: 4
+        }
+      }
+    });
+    
+    console.log(`API: l1-summary-cards ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-summary-cards:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-awareness-engagement
+ * Returns awareness & engagement charts data
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   mode=exact|sampled|fast|auto (optional, default sampled), seed=<integer> (optional, default SAMPLING_SEED)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+router.get('/l1-awareness-engagement', validateDateParams, validateSamplingMode, parseFilterParams, async (req, res) => {
+  try {
+    const { from, to, mode, seed } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, mode, seed };
+    
+    // Set timeout headers for long-running analytics queries
+    res.setTimeout(300000); // 5 minutes timeout
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    
+    
+    const result = await getL1AwarenessEngagementData(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Chart data query failed',
+        message: result.error,
+        details: result.details
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        ...result.result,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        query_performance: {
+          response_time_ms: responseTime,
+          charts_loaded: 2
+        }
+      }
+    });
+    
+    console.log(`API: l1-awareness-engagement ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-awareness-engagement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-conversions
+ * Returns conversion charts data
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   mode=exact|sampled|fast|auto (optional, default sampled), seed=<integer> (optional, default SAMPLING_SEED)
+ *   currency=<code> (optional, revenue trends currency, default USD)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+router.get('/l1-conversions', validateDateParams, validateSamplingMode, parseFilterParams, validateCurrency, async (req, res) => {
+  try {
+    const { from, to, mode, seed } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, mode, seed, currency: req.currency };
+    
+    // Set timeout headers for long-running analytics queries
+    res.setTimeout(300000); // 5 minutes timeout
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    
+    
+    const result = await getL1ConversionsData(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Chart data query failed',
+        message: result.error,
+        details: result.details
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        ...result.result,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        query_performance: {
+          response_time_ms: responseTime,
+          charts_loaded: 2
+        }
+      }
+    });
+    
+    console.log(`API: l1-conversions ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-conversions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-booking-lead-time
+ * Returns the booking lead-time histogram with median / P90 lead time,
+ * compared with the previous period of the same length
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   buckets=1,7,30,90 (optional histogram upper bounds in days, default 0-1, 2-7, 8-30, 31-90, 90+)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+router.get('/l1-booking-lead-time', validateDateParams, validateLeadTimeBuckets, parseFilterParams, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, buckets: req.leadTimeBuckets };
+    
+    const result = await getBookingLeadTime(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Chart data query failed',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        lead_time_distribution: result.data,
+        summary: result.summary,
+        previous_period: result.previous_period,
+        change: result.change,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        query_time_ms: responseTime
+      }
+    });
+    
+    console.log(`API: l1-booking-lead-time ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-booking-lead-time:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-stay-poststay
+ * Returns stay & post-stay charts data
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   mode=exact|sampled|fast|auto (optional, default sampled), seed=<integer> (optional, default SAMPLING_SEED)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+router.get('/l1-stay-poststay', validateDateParams, validateSamplingMode, parseFilterParams, async (req, res) => {
+  try {
+    const { from, to, mode, seed } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, mode, seed };
+    
+    // Set timeout headers for long-running analytics queries
+    res.setTimeout(300000); // 5 minutes timeout (this endpoint is the slowest)
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    
+    
+    const result = await getL1StayPostStayData(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Chart data query failed',
+        message: result.error,
+        details: result.details
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        ...result.result,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        query_performance: {
+          response_time_ms: responseTime,
+          charts_loaded: 2
+        }
+      }
+    });
+    
+    console.log(`API: l1-stay-poststay ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-stay-poststay:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-upsell
+ * Returns room upgrade charts data (take rate, revenue uplift, top rooms, top pages)
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   granularity=day|week|month (optional take rate buckets, default week)
+ *   currency=<code> (optional uplift currency, default USD)
+ *   hotel=, brand=, country=, destination= (optional filters, matched by property code)
+ */
+router.get('/l1-upsell', validateDateParams, validateGranularity, parseAggregateFilterParams, validateCurrency, async (req, res) => {
+  try {
+    const { from, to, granularity = 'week' } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, granularity, currency: req.currency };
+    
+    const result = await getL1UpsellData(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Chart data query failed',
+        message: result.error,
+        details: result.details
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        ...result.result,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        query_performance: {
+          response_time_ms: responseTime,
+          charts_loaded: 3
+        }
+      }
+    });
+    
+    console.log(`API: l1-upsell ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-upsell:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-revenue-composition
+ * Returns revenue split into room net, room tax, add-on net and add-on tax, with net / tax / gross
+ * totals reconciled against total revenue, for the range and per bucket
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   granularity=day|week|month (optional series buckets, default month)
+ *   currency=<code> (optional revenue currency, default USD)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+router.get('/l1-revenue-composition', validateDateParams, validateGranularity, parseFilterParams, validateCurrency, async (req, res) => {
+  try {
+    const { from, to, granularity = 'month' } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, granularity, currency: req.currency };
+    
+    const result = await getL1RevenueComposition(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database query failed',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        summary: result.summary,
+        data: result.data,
+        granularity: result.granularity,
+        currency: result.currency,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        query_time_ms: responseTime
+      }
+    });
+    
+    console.log(`API: l1-revenue-composition ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-revenue-composition:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-card-type-mix
+ * Returns bookings, revenue and ABV per payment card type for the range, per bucket and per hotel
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   granularity=day|week|month (optional series buckets, default month)
+ *   currency=<code> (optional revenue currency, default USD)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+router.get('/l1-card-type-mix', validateDateParams, validateGranularity, parseFilterParams, validateCurrency, async (req, res) => {
+  try {
+    const { from, to, granularity = 'month' } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, granularity, currency: req.currency };
+    
+    const result = await getL1CardTypeMix(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database query failed',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        totals: result.totals,
+        card_types: result.card_types,
+        series: result.series,
+        by_hotel: result.by_hotel,
+        granularity: result.granularity,
+        currency: result.currency,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        query_time_ms: responseTime
+      }
+    });
+    
+    console.log(`API: l1-card-type-mix ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-card-type-mix:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-ancillary-revenue
+ * Returns add-on attach rate and revenue, the most popular add-ons and bed types, and
+ * add-on revenue as a share of booking value per bucket
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   granularity=day|week|month (optional series buckets, default week)
+ *   currency=<code> (optional revenue currency, default USD)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+router.get('/l1-ancillary-revenue', validateDateParams, validateGranularity, parseFilterParams, validateCurrency, async (req, res) => {
+  try {
+    const { from, to, granularity = 'week' } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, granularity, currency: req.currency };
+    
+    const result = await getL1AncillaryRevenue(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database query failed',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        summary: result.summary,
+        top_addons: result.top_addons,
+        bed_types: result.bed_types,
+        data: result.data,
+        granularity: result.granularity,
+        currency: result.currency,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        query_time_ms: responseTime
+      }
+    });
+    
+    console.log(`API: l1-ancillary-revenue ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-ancillary-revenue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * TOP LISTS (pre-aggregated top_* tables)
+ * GET /api/l1-top-channels, /l1-top-entry-pages, /l1-top-exit-pages, /l1-top-rate-plans, /l1-top-rooms
+ * Returns items ranked by unique visitors with their share of the total
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   page=<n> (optional, default 1), page_size=<n> (optional, default 10, max 100)
+ *   hotel=, brand=, country=, destination= (optional filters, matched by property code)
+ */
+function topListHandler(list, routeName) {
+  return async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const startTime = Date.now();
+      const options = { list, filters: req.filters, pagination: req.pagination };
+      
+      const result = await getL1TopList(from, to, options);
+      const responseTime = Date.now() - startTime;
+      
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database query failed',
+          message: result.error
+        });
+      }
+      
+      res.json({
+        success: true,
+        result: {
+          list: result.list,
+          items: result.items,
+          total_visitors: result.total_visitors,
+          pagination: result.pagination,
+          ...(hasFilters(req.filters) && { filters: req.filters }),
+          date_range: `${from} to ${to}`,
+          query_time_ms: responseTime
+        }
+      });
+      
+      console.log(`API: ${routeName} ${responseTime}ms`);
+      
+    } catch (error) {
+      console.error(`❌ API Error in ${routeName}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  };
+}
+
+const topListMiddleware = [validateDateParams, validatePagination, parseAggregateFilterParams];
+
+router.get('/l1-top-channels', ...topListMiddleware, topListHandler('channels', 'l1-top-channels'));
+router.get('/l1-top-entry-pages', ...topListMiddleware, topListHandler('entry_pages', 'l1-top-entry-pages'));
+router.get('/l1-top-exit-pages', ...topListMiddleware, topListHandler('exit_pages', 'l1-top-exit-pages'));
+router.get('/l1-top-rate-plans', ...topListMiddleware, topListHandler('rate_plans', 'l1-top-rate-plans'));
+router.get('/l1-top-rooms', ...topListMiddleware, topListHandler('rooms', 'l1-top-rooms'));
+
+/**
+ * PERFORMANCE REPORTS (rate plans, offers, access codes, room types)
+ * GET /api/l1-rate-plan-report, /l1-offer-report, /l1-access-code-report, /l1-room-type-report
+ * Returns views (times shown), selections, bookings, room nights, revenue, ABV, average booked rate
+ * and conversion rate per value
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   sort=views|selections|bookings|room_nights|revenue|abv|avg_booked_rate|conversion_rate
+ *     (optional, default revenue), order=desc|asc
+ *   min_volume=<n> (optional minimum views), page=<n>, page_size=<n>
+ *   currency=<code> (optional, default USD)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+function dimensionReportHandler(dimension, routeName) {
+  return async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const startTime = Date.now();
+      const options = {
+        dimension,
+        filters: req.filters,
+        currency: req.currency,
+        sorting: req.sorting,
+        pagination: req.pagination
+      };
+      
+      const result = await getL1DimensionReport(from, to, options);
+      const responseTime = Date.now() - startTime;
+      
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database query failed',
+          message: result.error
+        });
+      }
+      
+      res.json({
+        success: true,
+        result: {
+          dimension: result.dimension,
+          items: result.items,
+          currency: result.currency,
+          sorting: result.sorting,
+          pagination: result.pagination,
+          ...(hasFilters(req.filters) && { filters: req.filters }),
+          date_range: `${from} to ${to}`,
+          query_time_ms: responseTime
         }
+      });
+      
+      console.log(`API: ${routeName} ${responseTime}ms`);
+      
+    } catch (error) {
+      console.error(`❌ API Error in ${routeName}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  };
+}
+
+const dimensionReportMiddleware = [validateDateParams, validateReportSorting, validatePagination, parseFilterParams, validateCurrency];
+
+router.get('/l1-rate-plan-report', ...dimensionReportMiddleware, dimensionReportHandler('rate_plan', 'l1-rate-plan-report'));
+router.get('/l1-offer-report', ...dimensionReportMiddleware, dimensionReportHandler('offer', 'l1-offer-report'));
+router.get('/l1-access-code-report', ...dimensionReportMiddleware, dimensionReportHandler('access_code', 'l1-access-code-report'));
+router.get('/l1-room-type-report', ...dimensionReportMiddleware, dimensionReportHandler('room_type', 'l1-room-type-report'));
+
+/**
+ * GET /api/l1-lead-generation
+ * Returns member sign-ups, page views, visits and wedding enquiries as a series,
+ * period totals, per-hotel breakdown and portfolio (unattributed / site-wide) rows,
+ * with rates per 1,000 visits
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   granularity=day|week|month (optional, default day)
+ *   hotel=, brand=, country=, destination= (optional filters, matched by property code)
+ */
+router.get('/l1-lead-generation', validateDateParams, validateGranularity, parseAggregateFilterParams, async (req, res) => {
+  try {
+    const { from, to, granularity = 'day' } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, granularity };
+    
+    const result = await getL1LeadGeneration(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database query failed',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        granularity: result.granularity,
+        totals: result.totals,
+        series: result.series,
+        hotels: result.hotels,
+        portfolio: result.portfolio,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        query_time_ms: responseTime
       }
     });
     
-    console.log(`API: l1-stay-poststay ${responseTime}ms`);
+    console.log(`API: l1-lead-generation ${responseTime}ms`);
     
   } catch (error) {
-    console.error('❌ API Error in l1-stay-poststay:', error);
+    console.error('❌ API Error in l1-lead-generation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-loyalty
+ * Returns GHA DISCOVERY balance distribution, accrued / redeemed / expired totals and
+ * booking conversion rate per member tier (each member counted once, latest values)
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+router.get('/l1-loyalty', validateDateParams, parseFilterParams, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters };
+    
+    const result = await getL1Loyalty(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database query failed',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        tiers: result.data,
+        totals: result.totals,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        query_time_ms: responseTime
+      }
+    });
+    
+    console.log(`API: l1-loyalty ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-loyalty:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-on-the-books
+ * Returns room nights x rooms on the books per stay date for bookings made in the from / to
+ * window, and the pickup of those room nights per booking date
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD (booking dates)
+ *   hotel= or destination= (required - one property or a list)
+ *   stay_from=YYYY-MM-DD (optional, default from), stay_to=YYYY-MM-DD (optional, default 90 days of stays)
+ */
+router.get('/l1-on-the-books', validateDateParams, validateStayWindow, parseFilterParams, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const startTime = Date.now();
+    
+    if (!req.filters.hotel && !req.filters.destination) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'On-the-books is per property - provide "hotel" or "destination"',
+        example: '/api/l1-on-the-books?from=2025-07-01&to=2025-07-31&destination=ppsin'
+      });
+    }
+    
+    const options = { filters: req.filters, ...req.stayWindow };
+    
+    const result = await getL1OnTheBooks(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database query failed',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        stay_window: result.stay_window,
+        total_room_nights_x_rooms: result.total_room_nights_x_rooms,
+        calendar: result.calendar,
+        pickup: result.pickup,
+        filters: req.filters,
+        date_range: `${from} to ${to}`,
+        query_time_ms: responseTime
+      }
+    });
+    
+    console.log(`API: l1-on-the-books ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-on-the-books:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-search-demand
+ * Returns searches per requested arrival date and per length of stay, with the bookings
+ * for those dates and the search-to-booking conversion
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD (search dates)
+ *   stay_from=YYYY-MM-DD (optional, default from), stay_to=YYYY-MM-DD (optional, default 90 days of arrivals)
+ *   hotel=, brand=, country=, destination= (optional filters)
+ */
+router.get('/l1-search-demand', validateDateParams, validateStayWindow, parseFilterParams, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const startTime = Date.now();
+    const options = { filters: req.filters, ...req.stayWindow };
+    
+    const result = await getL1SearchDemand(from, to, options);
+    const responseTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database query failed',
+        message: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        stay_window: result.stay_window,
+        totals: result.totals,
+        by_arrival_date: result.by_arrival_date,
+        by_length_of_stay: result.by_length_of_stay,
+        ...(hasFilters(req.filters) && { filters: req.filters }),
+        date_range: `${from} to ${to}`,
+        query_time_ms: responseTime
+      }
+    });
+    
+    console.log(`API: l1-search-demand ${responseTime}ms`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-search-demand:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/l1-filter-options
+ * Returns the valid values for the hotel / brand / country / destination filters
+ * (properties with traffic in the date range)
+ * Query params: from=YYYY-MM-DD, to=YYYY-MM-DD
+ */
+router.get('/l1-filter-options', validateDateParams, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const startTime = Date.now();
+
+    const result = await getL1FilterOptions(from, to);
+    const responseTime = Date.now() - startTime;
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database query failed',
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      result: {
+        filter_params: FILTER_PARAMS,
+        hotels: result.hotels,
+        brands: result.brands,
+        countries: result.countries,
+        destinations: result.destinations,
+        date_range: `${from} to ${to}`,
+        query_time_ms: responseTime
+      }
+    });
+
+    console.log(`API: l1-filter-options ${responseTime}ms`);
+
+  } catch (error) {
+    console.error('❌ API Error in l1-filter-options:', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -604,4 +1938,79 @@ router.get('/l1-date-ranges', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/l1-cache
+ * Returns cache backend (redis | memory), hit/miss counters and TTL policy
+ */
+router.get('/l1-cache', async (req, res) => {
+  try {
+    const cacheStats = await getCacheStats();
+    
+    res.json({
+      success: true,
+      result: cacheStats
+    });
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/l1-cache
+ * Purges cached results by endpoint and/or date range
+ * Query params (all optional):
+ *   endpoint=<service function>, e.g. getL1UniqueVisitors
+ *   from=YYYY-MM-DD, to=YYYY-MM-DD - purge every cached range overlapping these dates
+ * With no params the whole L1 cache is purged
+ * Requires the X-Cache-Admin-Token header (CACHE_ADMIN_TOKEN)
+ */
+router.delete('/l1-cache', requireCacheAdmin, async (req, res) => {
+  try {
+    const { endpoint, from, to } = req.query;
+    
+    if (endpoint && !isValidEndpoint(endpoint)) {
+      const { endpoints } = await getCacheStats();
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown endpoint',
+        message: `"${endpoint}" is not a cached endpoint`,
+        available_endpoints: endpoints
+      });
+    }
+    
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !dateRegex.test(from)) || (to && !dateRegex.test(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format',
+        message: 'Dates must be in YYYY-MM-DD format',
+        example: 'from=2025-07-01&to=2025-07-07'
+      });
+    }
+    
+    const purgeResult = await purgeCache({ endpoint, from, to });
+    
+    res.json({
+      success: true,
+      result: purgeResult
+    });
+    
+    console.log(`API: l1-cache purged ${purgeResult.deleted} keys`);
+    
+  } catch (error) {
+    console.error('❌ API Error in l1-cache purge:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
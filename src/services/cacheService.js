@@ -0,0 +1,326 @@
+/**
+ * L1 RESULT CACHE
+ *
+ * Cache layer in front of the metric and chart service functions.
+ * - Redis when REDIS_URL is set and reachable (shared across instances)
+ * - In-process LRU fallback when Redis is absent or goes away, so the API
+ *   (and this module) work with no external services running
+ *
+ * Key pattern and TTLs follow the "Caching Strategy by Date Range" section of
+ * docs/L1_DASHBOARD_COMPLETE_SPECIFICATION.md:
+ *   l1_${functionName}_${fromDate}_${toDate}_${property}
+ *
+ * Only successful results are cached, so a failed query is retried on the next request.
+ */
+
+const logger = require('../utils/logger');
+
+// Cache TTL by data type (seconds)
+const CACHE_TTL = {
+  key_metrics: 30 * 60,      // 30 minutes (frequently changing)
+  summary_cards: 30 * 60,    // 30 minutes (trend calculations)
+  charts: 30 * 60,           // 30 minutes (chart data)
+  trends: 60 * 60            // 60 minutes (historical analysis)
+};
+
+const KEY_PREFIX = 'l1';
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+const LRU_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+
+/**
+ * IN-PROCESS LRU CACHE
+ * Map keeps insertion order, so re-inserting on read moves an entry to the
+ * "most recently used" end and the first key is always the eviction candidate
+ */
+class LRUCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  keys() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+    return [...this.entries.keys()];
+  }
+
+  delete(keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+const lruCache = new LRUCache(LRU_MAX_ENTRIES);
+const registeredFunctions = new Set();
+const stats = { hits: 0, misses: 0, errors: 0 };
+
+/**
+ * REDIS CONNECTION
+ * Connected lazily on first use; resolves to null when Redis is not configured
+ * or the connection fails, in which case the LRU cache is used instead
+ */
+let redisClientPromise = null;
+
+function getRedisClient() {
+  if (!redisClientPromise) {
+    redisClientPromise = connectRedis();
+  }
+  return redisClientPromise;
+}
+
+async function connectRedis() {
+  if (!process.env.REDIS_URL) {
+    logger.info('REDIS_URL not set - using in-process LRU cache');
+    return null;
+  }
+
+  try {
+    const { createClient } = require('redis');
+    const client = createClient({
+      url: process.env.REDIS_URL,
+      socket: {
+        connectTimeout: 5000,
+        // Give up after a few attempts and fall back to the LRU cache
+        reconnectStrategy: retries => (retries >= 3 ? false : Math.min(retries * 500, 2000))
+      }
+    });
+
+    client.on('error', error => logger.warn('Redis cache error:', error.message));
+
+    await client.connect();
+    logger.success('Redis cache connected');
+    return client;
+
+  } catch (error) {
+    logger.warn(`Redis unavailable (${error.message}) - using in-process LRU cache`);
+    return null;
+  }
+}
+
+async function getActiveRedisClient() {
+  const client = await getRedisClient();
+  return client && client.isReady ? client : null;
+}
+
+/**
+ * CACHE KEYS
+ * Anything passed after (fromDate, toDate) becomes the property segment, so results
+ * for different filters / options never share a key
+ */
+function serializeProperty(args) {
+  const parts = args
+    .filter(arg => arg !== undefined && arg !== null && arg !== '')
+    .map(arg => {
+      if (typeof arg !== 'object') return String(arg);
+      if (Array.isArray(arg)) return arg.join(',');
+
+      return Object.keys(arg)
+        .sort()
+        .filter(key => arg[key] !== undefined && arg[key] !== null && arg[key] !== '')
+        .map(key => `${key}=${typeof arg[key] === 'object' ? serializeProperty([arg[key]]) : arg[key]}`)
+        .join('&');
+    })
+    .filter(part => part !== '');
+
+  return parts.length > 0 ? parts.join('|') : 'all';
+}
+
+function buildCacheKey(functionName, fromDate, toDate, ...args) {
+  return `${KEY_PREFIX}_${functionName}_${fromDate}_${toDate}_${serializeProperty(args)}`;
+}
+
+function parseCacheKey(key) {
+  const [prefix, functionName, fromDate, toDate, ...property] = key.split('_');
+  return { prefix, functionName, fromDate, toDate, property: property.join('_') };
+}
+
+/**
+ * LOW-LEVEL GET / SET
+ * Redis errors and unserializable results never fail a request - they are counted in
+ * stats.errors; Redis write failures fall back to the LRU cache
+ */
+async function getCachedValue(key) {
+  try {
+    const redis = await getActiveRedisClient();
+    const raw = redis ? await redis.get(key) : lruCache.get(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    stats.errors++;
+    logger.warn(`Cache read failed for ${key}:`, error.message);
+    return null;
+  }
+}
+
+async function setCachedValue(key, value, ttlSeconds) {
+  let raw;
+
+  try {
+    // Throws for values JSON can't hold (e.g. BigInt) - the result is then returned uncached
+    raw = JSON.stringify(value);
+
+    const redis = await getActiveRedisClient();
+    if (redis) {
+      await redis.set(key, raw, { EX: ttlSeconds });
+      return;
+    }
+  } catch (error) {
+    stats.errors++;
+    logger.warn(`Cache write failed for ${key}:`, error.message);
+  }
+
+  if (raw !== undefined) {
+    lruCache.set(key, raw, ttlSeconds);
+  }
+}
+
+/**
+ * CACHE WRAPPER
+ * Wraps a service function with signature (fromDate, toDate, ...options)
+ * and returns a function with the same signature. Hits are returned with cached: true.
+ * keyVersion (optional) returns a version string that is added to every key, for results
+ * that depend on configuration outside the arguments (e.g. the channel rules file).
+ */
+function withCache(functionName, ttlType, serviceFunction, { keyVersion } = {}) {
+  const ttlSeconds = CACHE_TTL[ttlType];
+  if (!ttlSeconds) {
+    throw new Error(`Unknown cache TTL type "${ttlType}". Use one of: ${Object.keys(CACHE_TTL).join(', ')}`);
+  }
+
+  registeredFunctions.add(functionName);
+
+  return async function cachedServiceFunction(fromDate, toDate, ...args) {
+    if (!CACHE_ENABLED) {
+      return serviceFunction(fromDate, toDate, ...args);
+    }
+
+    const key = keyVersion
+      ? buildCacheKey(functionName, fromDate, toDate, ...args, { version: keyVersion() })
+      : buildCacheKey(functionName, fromDate, toDate, ...args);
+    const cachedResult = await getCachedValue(key);
+
+    if (cachedResult) {
+      stats.hits++;
+      logger.cache(`Cache hit: ${key}`);
+      return { ...cachedResult, cached: true };
+    }
+
+    stats.misses++;
+    const result = await serviceFunction(fromDate, toDate, ...args);
+
+    if (result && result.success) {
+      await setCachedValue(key, result, ttlSeconds);
+    }
+
+    return result;
+  };
+}
+
+/**
+ * CACHE PURGE
+ * Deletes keys by endpoint (service function name) and/or date range.
+ * A key matches the date range when its range overlaps [from, to];
+ * either bound may be omitted for an open-ended range.
+ */
+function isValidEndpoint(endpoint) {
+  return registeredFunctions.has(endpoint);
+}
+
+function keyMatches(key, { endpoint, from, to }) {
+  const parsed = parseCacheKey(key);
+
+  if (parsed.prefix !== KEY_PREFIX) return false;
+  if (endpoint && parsed.functionName !== endpoint) return false;
+  if (from && parsed.toDate < from) return false;
+  if (to && parsed.fromDate > to) return false;
+
+  return true;
+}
+
+async function purgeCache({ endpoint, from, to } = {}) {
+  const criteria = { endpoint, from, to };
+  let deleted = 0;
+
+  // Always purge the LRU too - it may hold entries written while Redis was down
+  const lruKeys = lruCache.keys().filter(key => keyMatches(key, criteria));
+  lruCache.delete(lruKeys);
+  deleted += lruKeys.length;
+
+  const redis = await getActiveRedisClient();
+  if (redis) {
+    const pattern = endpoint ? `${KEY_PREFIX}_${endpoint}_*` : `${KEY_PREFIX}_*`;
+    const redisKeys = [];
+
+    for await (const key of redis.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      if (keyMatches(key, criteria)) redisKeys.push(key);
+    }
+
+    // DEL in chunks to keep each command small
+    for (let i = 0; i < redisKeys.length; i += 500) {
+      deleted += await redis.del(redisKeys.slice(i, i + 500));
+    }
+  }
+
+  logger.cache(`Purged ${deleted} cache keys`, criteria);
+
+  return {
+    deleted,
+    backend: redis ? 'redis' : 'memory',
+    criteria
+  };
+}
+
+async function getCacheStats() {
+  const redis = await getActiveRedisClient();
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    enabled: CACHE_ENABLED,
+    backend: redis ? 'redis' : 'memory',
+    hits: stats.hits,
+    misses: stats.misses,
+    errors: stats.errors,
+    hit_rate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 10 : 0,
+    memory_entries: lruCache.size,
+    memory_max_entries: LRU_MAX_ENTRIES,
+    ttl_seconds: CACHE_TTL,
+    endpoints: [...registeredFunctions].sort()
+  };
+}
+
+module.exports = {
+  CACHE_TTL,
+  LRUCache,
+  withCache,
+  buildCacheKey,
+  purgeCache,
+  getCacheStats,
+  isValidEndpoint
+};
@@ -1,5 +1,9 @@
 // Use shared Prisma instance from main service
 const l1Service = require('../l1MetricsService');
+const { buildPageviewFilters } = require('../sql/filters');
+const { getSampling, describeSampling, countInterval, percentageInterval, hasLowSample } = require('../sql/sampling');
+const { getChannelRules, REFERRER_DOMAIN_APPLY } = require('../sql/channelRules');
+const { getTimestampRange } = require('../sql/dateBuckets');
 
 // Helper function to get initialized prisma instance
 async function getPrisma() {
@@ -28,19 +32,19 @@ async function getPrisma() {
  * - Data: Channel classification with visitor counts and percentages
  * 
  * Channel Classification Logic:
- * 1. UTM Source campaigns (highest priority)
- * 2. Search Engine detection (google, bing, yahoo)
- * 3. Social Media detection (facebook, twitter, linkedin, instagram)
- * 4. Direct traffic (no referrer)
- * 5. Other referrers
+ * Configured by marketing in src/config/channelRules.json (see sql/channelRules.js):
+ * prioritised rules on utm_source, utm_medium, utm_campaign and referrer domain.
+ * The ruleset version is returned with the data.
  */
-async function getUniqueVisitorsByChannel(fromDate, toDate) {
+async function getUniqueVisitorsByChannel(fromDate, toDate, options = {}) {
   // DIRECT DATABASE QUERY (Caching disabled for reliability)
   try {
         
         // Convert dates to Unix timestamps
-        const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-        const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+        const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+        const filterSql = buildPageviewFilters(options.filters);
+        const sampling = getSampling(options.mode, fromDate, toDate, options.seed);
+        const channelRules = getChannelRules();
         
         // OPTIMIZED: SQL Engineer's optimized query for Unique Visitors by Channel
         const prisma = await getPrisma();
@@ -48,24 +52,17 @@ async function getUniqueVisitorsByChannel(fromDate, toDate) {
       WITH channel_data AS (
           SELECT
               td_client_id,
-              CASE
-                  WHEN LOWER(utm_source) LIKE '%google%' THEN 'Paid Search'
-                  WHEN LOWER(utm_source) LIKE '%facebook%' THEN 'Social Media'
-                  WHEN LOWER(utm_source) LIKE '%email%' THEN 'Email'
-                  WHEN utm_source IS NOT NULL AND utm_source != '' THEN 'UTM Campaign'
-                  WHEN LOWER(td_referrer) LIKE '%google.com%' THEN 'Organic Search'
-                  WHEN LOWER(td_referrer) LIKE '%facebook.com%' THEN 'Social Media'
-                  WHEN td_referrer IS NULL OR td_referrer = '' THEN 'Direct'
-                  ELSE 'Other'
-              END AS channel
-          FROM preprocessed.pageviews_partitioned TABLESAMPLE (2 PERCENT)
-          WHERE time BETWEEN ${fromTimestamp} AND ${toTimestamp}
+              ${channelRules.caseExpression} AS channel
+          FROM preprocessed.pageviews_partitioned ${sampling.tableSample}
+          ${REFERRER_DOMAIN_APPLY}
+          WHERE time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+            ${filterSql}
             AND td_client_id IS NOT NULL
       ),
       channel_counts AS (
           SELECT 
               channel,
-              COUNT(DISTINCT td_client_id) * 50 AS visitors
+              COUNT(DISTINCT td_client_id) * ${sampling.scale_factor} AS visitors
           FROM channel_data
           GROUP BY channel
       )
@@ -79,14 +76,26 @@ async function getUniqueVisitorsByChannel(fromDate, toDate) {
     `;
     
         
+        // Percentages are shares of the sampled visitors across all channels
+        const sampleVisitors = result.reduce((sum, row) => sum + Number(row.visitors), 0) / sampling.scale_factor;
+        
+        const data = result.map(row => ({
+          channel: row.channel,
+          visitors: Number(row.visitors),
+          percentage: Number(row.percentage),
+          confidence_intervals: {
+            visitors: countInterval(row.visitors, sampling),
+            percentage: percentageInterval(row.percentage, sampleVisitors, sampling)
+          }
+        }));
+        
         return {
-          data: result.map(row => ({
-            channel: row.channel,
-            visitors: Number(row.visitors),
-            percentage: Number(row.percentage)
-          })),
+          data,
           success: true,
           query_time: new Date().toISOString(),
+          sampling: describeSampling(sampling),
+          low_sample_warning: hasLowSample(data),
+          channel_rules_version: channelRules.version,
           cached: false
         };
         
@@ -115,13 +124,14 @@ async function getUniqueVisitorsByChannel(fromDate, toDate) {
  * 3. Check signup page visits (indicates engagement)
  * 4. Default to logged out if no indicators found
  */
-async function getLoggedInVsLoggedOut(fromDate, toDate) {
+async function getLoggedInVsLoggedOut(fromDate, toDate, options = {}) {
   // DIRECT DATABASE QUERY (Caching disabled for reliability)
   try {
         
         // Convert dates to Unix timestamps
-        const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-        const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+        const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+        const filterSql = buildPageviewFilters(options.filters);
+        const sampling = getSampling(options.mode, fromDate, toDate, options.seed);
         
         // OPTIMIZED: SQL Engineer's optimized query for Log In & Log Out Users
         const prisma = await getPrisma();
@@ -134,8 +144,9 @@ async function getLoggedInVsLoggedOut(fromDate, toDate) {
               LOWER(ISNULL(td_url, '')) AS lurl,
               user_userinfo_memberid AS mid1,
               user_userinfo_memberid_1 AS mid2
-          FROM preprocessed.pageviews_partitioned TABLESAMPLE (2 PERCENT)
-          WHERE time BETWEEN ${fromTimestamp} AND ${toTimestamp}
+          FROM preprocessed.pageviews_partitioned ${sampling.tableSample}
+          WHERE time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+            ${filterSql}
             AND td_client_id IS NOT NULL
       ),
       login_status AS (
@@ -152,7 +163,7 @@ async function getLoggedInVsLoggedOut(fromDate, toDate) {
       status_summary AS (
           SELECT
               login_status,
-              COUNT(DISTINCT td_client_id) * 50 AS user_count
+              COUNT(DISTINCT td_client_id) * ${sampling.scale_factor} AS user_count
           FROM login_status
           GROUP BY login_status
       )
@@ -170,16 +181,17 @@ async function getLoggedInVsLoggedOut(fromDate, toDate) {
       logged_out: { count: 0, percentage: 0 }
     };
     
+    const sampleUsers = result.reduce((sum, row) => sum + Number(row.count), 0) / sampling.scale_factor;
+    
     result.forEach(row => {
-      if (row.login_status === 'logged_in') {
-        formattedResult.logged_in = {
-          count: Number(row.count),
-          percentage: Number(row.percentage)
-        };
-      } else if (row.login_status === 'logged_out') {
-        formattedResult.logged_out = {
+      if (row.login_status === 'logged_in' || row.login_status === 'logged_out') {
+        formattedResult[row.login_status] = {
           count: Number(row.count),
-          percentage: Number(row.percentage)
+          percentage: Number(row.percentage),
+          confidence_intervals: {
+            count: countInterval(row.count, sampling),
+            percentage: percentageInterval(row.percentage, sampleUsers, sampling)
+          }
         };
       }
     });
@@ -189,6 +201,8 @@ async function getLoggedInVsLoggedOut(fromDate, toDate) {
           data: formattedResult,
           success: true,
           query_time: new Date().toISOString(),
+          sampling: describeSampling(sampling),
+          low_sample_warning: hasLowSample(Object.values(formattedResult)),
           cached: false
         };
         
@@ -1,5 +1,19 @@
 // OPTIMIZED Conversion Charts - Fast queries like 5-metrics API
 const l1Service = require('../l1MetricsService');
+const { buildPageviewFilters } = require('../sql/filters');
+const { bookingEventsQuery, HAS_SEARCH, HAS_ROOM_SELECTION, HAS_PAYMENT, HAS_CONFIRMATION } = require('../sql/bookingEvents');
+const { DEFAULT_CURRENCY, usdRateExpression, targetRateExpression } = require('../sql/currency');
+const { getSampling, describeSampling, countInterval, sumInterval, percentageInterval, hasLowSample } = require('../sql/sampling');
+const { getTimestampRange } = require('../sql/dateBuckets');
+const { getPreviousPeriod } = require('../../utils/dateRanges');
+const { DEFAULT_LEAD_TIME_BOUNDS, parseLeadTimeBuckets, summarizeLeadTimes } = require('../../utils/leadTimes');
+
+const LEAD_TIME_COLUMNS = [
+  'booking_transaction_daysbeforebooking',
+  'booking_transaction_bookingdate',
+  'booking_bookingwidget_arrivaldate',
+  'booking_bookingwidget_arrivaldate_1'
+];
 
 // Helper function to get initialized prisma instance
 async function getPrisma() {
@@ -10,40 +24,34 @@ async function getPrisma() {
 /**
  * OPTIMIZED CHART 3: BOOKING FUNNEL (Funnel Chart)
  * - Target: <1000ms response time
- * - Uses 2% sampling with scaling for accuracy
+ * - Sampled per options.mode (sql/sampling.js), scaled back up in JS
  * - Single aggregation query (no CTEs)
+ * - Stage predicates check both booking column sets (sql/bookingEvents.js)
  */
-async function getBookingFunnel(fromDate, toDate) {
+async function getBookingFunnel(fromDate, toDate, options = {}) {
   try {
     
-    const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-    const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const filterSql = buildPageviewFilters(options.filters);
+    const sampling = getSampling(options.mode, fromDate, toDate, options.seed);
     
     // OPTIMIZED: SQL Engineer's optimized query for Booking Funnel
     const prisma = await getPrisma();
     const result = await prisma.$queryRaw`
       SELECT 
         COUNT(DISTINCT td_client_id) as total_visitors,
-        COUNT(DISTINCT CASE WHEN booking_bookingwidget_arrivaldate_1 IS NOT NULL 
-                             AND booking_bookingwidget_arrivaldate_1 != '' 
-                             THEN td_client_id END) as search_users,
-        COUNT(DISTINCT CASE WHEN booking_bookingwidget_adultroom_1 IS NOT NULL 
-                             AND booking_bookingwidget_adultroom_1 != '' 
-                             THEN td_client_id END) as selection_users,
-        COUNT(DISTINCT CASE WHEN booking_transaction_totalpayment_1 IS NOT NULL 
-                             AND booking_transaction_totalpayment_1 != '' 
-                             AND TRY_CAST(booking_transaction_totalpayment_1 AS FLOAT) > 0 
-                             THEN td_client_id END) as payment_users,
-        COUNT(DISTINCT CASE WHEN booking_transaction_confirmationno_1 IS NOT NULL 
-                             AND booking_transaction_confirmationno_1 != '' 
-                             THEN td_client_id END) as confirmed_users
-      FROM preprocessed.pageviews_partitioned TABLESAMPLE (2 PERCENT)
-      WHERE time BETWEEN ${fromTimestamp} AND ${toTimestamp}
+        COUNT(DISTINCT CASE WHEN ${HAS_SEARCH} THEN td_client_id END) as search_users,
+        COUNT(DISTINCT CASE WHEN ${HAS_ROOM_SELECTION} THEN td_client_id END) as selection_users,
+        COUNT(DISTINCT CASE WHEN ${HAS_PAYMENT} THEN td_client_id END) as payment_users,
+        COUNT(DISTINCT CASE WHEN ${HAS_CONFIRMATION} THEN td_client_id END) as confirmed_users
+      FROM preprocessed.pageviews_partitioned ${sampling.tableSample}
+      WHERE time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+        ${filterSql}
         AND td_client_id IS NOT NULL
     `;
     
     const data = result[0];
-    const scaleFactor = 50; // Scale up from 2% sample
+    const scaleFactor = sampling.scale_factor; // Scale up from the sample (1 in exact mode)
     
     const totalVisitors = Number(data.total_visitors) * scaleFactor;
     const searchUsers = Number(data.search_users) * scaleFactor;
@@ -79,11 +87,20 @@ async function getBookingFunnel(fromDate, toDate) {
       }
     ];
     
+    // Stage percentages are shares of the sampled visitors
+    funnelStages.forEach(stage => {
+      stage.confidence_intervals = {
+        count: countInterval(stage.count, sampling),
+        percentage: percentageInterval(stage.percentage, Number(data.total_visitors), sampling)
+      };
+    });
     
     return {
       data: funnelStages,
       success: true,
       query_time: new Date().toISOString(),
+      sampling: describeSampling(sampling),
+      low_sample_warning: hasLowSample(funnelStages),
       cached: false
     };
     
@@ -102,51 +119,79 @@ async function getBookingFunnel(fromDate, toDate) {
  * OPTIMIZED CHART 4: BOOKING REVENUE TRENDS (Line Chart)
  * - Target: <1000ms response time
  * - Simplified: Current period only (no extended range)
- * - No currency conversion for speed
- * - Uses 2% sampling
+ * - Revenue converted like the Total Revenue KPI: to USD, or options.currency (sql/currency.js)
+ * - Sampled per options.mode (sql/sampling.js)
  */
-async function getBookingRevenueTrends(fromDate, toDate) {
+async function getBookingRevenueTrends(fromDate, toDate, options = {}) {
   try {
     
-    const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-    const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const sampling = getSampling(options.mode, fromDate, toDate, options.seed);
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      tableSample: sampling.tableSample
+    });
+    const currency = options.currency || DEFAULT_CURRENCY;
     
-    // OPTIMIZED: SQL Engineer's optimized query for Booking Revenue
+    // Booking events: one row per confirmation number, same bookings as the KPI totals
     const prisma = await getPrisma();
     const result = await prisma.$queryRaw`
+      WITH booking_events AS (${bookingEvents}),
+      converted_events AS (
+        SELECT
+          booking_events.[time],
+          booking_events.payment_amount * ${usdRateExpression('booking_events.currency_code')}
+            / ${targetRateExpression(currency)} AS amount
+        FROM booking_events
+        LEFT JOIN pythia_db.currencies c
+          ON UPPER(c.code) = UPPER(booking_events.currency_code)
+        WHERE booking_events.payment_amount > 0
+      )
       SELECT
         YEAR(CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)) as year,
         MONTH(CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)) as month,
-        SUM(TRY_CAST(booking_transaction_totalpayment_1 AS FLOAT)) as revenue,
-        COUNT(DISTINCT booking_transaction_confirmationno_1) as bookings
-      FROM preprocessed.pageviews_partitioned TABLESAMPLE (2 PERCENT)
-      WHERE time BETWEEN ${fromTimestamp} AND ${toTimestamp}
-        AND booking_transaction_confirmationno_1 IS NOT NULL
-        AND booking_transaction_totalpayment_1 IS NOT NULL
-        AND TRY_CAST(booking_transaction_totalpayment_1 AS FLOAT) > 0
+        SUM(amount) as revenue,
+        COUNT(*) as bookings,
+        SUM(SQUARE(amount)) as revenue_sum_of_squares,
+        COUNT(*) as payment_rows
+      FROM converted_events
       GROUP BY YEAR(CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)),
                MONTH(CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE))
       ORDER BY year, month
     `;
     
-    const scaleFactor = 50; // Scale up from 2% sample
+    const scaleFactor = sampling.scale_factor; // Scale up from the sample (1 in exact mode)
     
     const monthNames = {
       1: 'Jan', 2: 'Feb', 3: 'Mar', 4: 'Apr', 5: 'May', 6: 'Jun',
       7: 'Jul', 8: 'Aug', 9: 'Sep', 10: 'Oct', 11: 'Nov', 12: 'Dec'
     };
     
-    const trendData = result.map(row => ({
-      month: `${monthNames[Number(row.month)]} ${row.year}`,
-      revenue: Math.round(Number(row.revenue || 0) * scaleFactor),
-      bookings: Math.round(Number(row.bookings || 0) * scaleFactor)
-    }));
+    const trendData = result.map(row => {
+      const revenue = Math.round(Number(row.revenue || 0) * scaleFactor);
+      const bookings = Math.round(Number(row.bookings || 0) * scaleFactor);
+      
+      return {
+        month: `${monthNames[Number(row.month)]} ${row.year}`,
+        revenue,
+        bookings,
+        confidence_intervals: {
+          revenue: sumInterval(revenue, row.revenue_sum_of_squares, Number(row.payment_rows), sampling),
+          bookings: countInterval(bookings, sampling)
+        }
+      };
+    });
     
     
     return {
       data: trendData,
+      currency,
       success: true,
       query_time: new Date().toISOString(),
+      sampling: describeSampling(sampling),
+      low_sample_warning: hasLowSample(trendData),
       cached: false
     };
     
@@ -161,7 +206,101 @@ async function getBookingRevenueTrends(fromDate, toDate) {
   }
 }
 
+/**
+ * Bookings per whole lead-time day for one window
+ * Lead time: daysbeforebooking, or arrival date - booking date when it is missing
+ */
+async function getLeadTimeFrequencies(fromDate, toDate, filters) {
+  const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+  const bookingEvents = bookingEventsQuery({ fromTimestamp, toExclusiveTimestamp, filters, columns: LEAD_TIME_COLUMNS });
+
+  const prisma = await getPrisma();
+  return prisma.$queryRaw`
+    WITH booking_events AS (${bookingEvents}),
+    lead_times AS (
+      SELECT COALESCE(
+        TRY_CAST(booking_transaction_daysbeforebooking AS INT),
+        DATEDIFF(
+          DAY,
+          TRY_CAST(booking_transaction_bookingdate AS DATE),
+          TRY_CAST(COALESCE(NULLIF(booking_bookingwidget_arrivaldate, ''), booking_bookingwidget_arrivaldate_1) AS DATE)
+        )
+      ) AS lead_time_days
+      FROM booking_events
+    )
+    SELECT lead_time_days, COUNT(*) AS bookings
+    FROM lead_times
+    WHERE lead_time_days >= 0
+    GROUP BY lead_time_days
+  `;
+}
+
+/**
+ * CHART 5: BOOKING LEAD TIME (Histogram)
+ * - How many days ahead of arrival guests book, over the booking events of the range
+ * - Histogram over options.buckets (upper bounds, default DEFAULT_LEAD_TIME_BOUNDS),
+ *   median and P90, compared with the previous period of the same length
+ * - Exact (not sampled): percentiles need every booking
+ */
+async function getBookingLeadTime(fromDate, toDate, options = {}) {
+  try {
+
+    const bounds = options.buckets || DEFAULT_LEAD_TIME_BOUNDS;
+    const previousPeriod = getPreviousPeriod(fromDate, toDate);
+
+    const [currentRows, previousRows] = await Promise.all([
+      getLeadTimeFrequencies(fromDate, toDate, options.filters),
+      getLeadTimeFrequencies(previousPeriod.from, previousPeriod.to, options.filters)
+    ]);
+
+    const current = summarizeLeadTimes(currentRows, bounds);
+    const previous = summarizeLeadTimes(previousRows, bounds);
+    const change = (a, b) => (a === null || b === null ? null : Math.round((a - b) * 10) / 10);
+
+    return {
+      data: current.histogram.map((bucket, index) => ({
+        ...bucket,
+        previous_bookings: previous.histogram[index].bookings,
+        previous_percentage: previous.histogram[index].percentage
+      })),
+      summary: {
+        total_bookings: current.total_bookings,
+        median_days: current.median_days,
+        p90_days: current.p90_days,
+        average_days: current.average_days
+      },
+      previous_period: {
+        from: previousPeriod.from,
+        to: previousPeriod.to,
+        total_bookings: previous.total_bookings,
+        median_days: previous.median_days,
+        p90_days: previous.p90_days,
+        average_days: previous.average_days
+      },
+      change: {
+        median_days: change(current.median_days, previous.median_days),
+        p90_days: change(current.p90_days, previous.p90_days)
+      },
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    console.error('❌ Error in getBookingLeadTime:', error);
+    return {
+      data: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
 module.exports = {
+  DEFAULT_LEAD_TIME_BOUNDS,
+  parseLeadTimeBuckets,
   getBookingFunnel,
-  getBookingRevenueTrends
+  getBookingRevenueTrends,
+  getBookingLeadTime
 };
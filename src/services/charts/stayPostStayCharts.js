@@ -1,5 +1,9 @@
 // OPTIMIZED Stay & Post-Stay Charts - Fast queries like 5-metrics API
 const l1Service = require('../l1MetricsService');
+const { buildPageviewFilters } = require('../sql/filters');
+const { bookingEventsQuery, HAS_CONFIRMATION } = require('../sql/bookingEvents');
+const { getSampling, describeSampling, countInterval, percentageInterval, hasLowSample } = require('../sql/sampling');
+const { getTimestampRange } = require('../sql/dateBuckets');
 
 // Helper function to get initialized prisma instance
 async function getPrisma() {
@@ -23,11 +27,12 @@ async function getPrisma() {
  * OPTIMIZED NPS SCORES - Fast like 5-metrics API
  * Uses simplified quarterly satisfaction tracking
  */
-async function getNPSScores(fromDate, toDate) {
+async function getNPSScores(fromDate, toDate, options = {}) {
   try {
     
-    const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-    const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const filterSql = buildPageviewFilters(options.filters);
+    const sampling = getSampling(options.mode, fromDate, toDate, options.seed);
     
     const prisma = await getPrisma();
     
@@ -36,12 +41,11 @@ async function getNPSScores(fromDate, toDate) {
       SELECT
         DATEPART(QUARTER, CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)) as quarter,
         YEAR(CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)) as year,
-        COUNT(DISTINCT td_client_id) * 50 as estimated_customers, -- Scale up from 2% sample
-        COUNT(DISTINCT CASE WHEN booking_transaction_confirmationno_1 IS NOT NULL 
-                              AND booking_transaction_confirmationno_1 != '' 
-                              THEN td_client_id END) * 50 as estimated_satisfied
-      FROM preprocessed.pageviews_partitioned TABLESAMPLE (2 PERCENT)
-      WHERE time BETWEEN ${fromTimestamp} AND ${toTimestamp}
+        COUNT(DISTINCT td_client_id) * ${sampling.scale_factor} as estimated_customers, -- Scale up from the sample
+        COUNT(DISTINCT CASE WHEN ${HAS_CONFIRMATION} THEN td_client_id END) * ${sampling.scale_factor} as estimated_satisfied
+      FROM preprocessed.pageviews_partitioned ${sampling.tableSample}
+      WHERE time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+        ${filterSql}
         AND td_client_id IS NOT NULL
       GROUP BY YEAR(CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)), 
                DATEPART(QUARTER, CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE))
@@ -50,16 +54,28 @@ async function getNPSScores(fromDate, toDate) {
     `;
     
     
-    return {
-      data: result.map(row => ({
+    const data = result.map(row => {
+      const npsScore = row.estimated_customers > 0 
+        ? Math.round((row.estimated_satisfied * 100.0) / row.estimated_customers)
+        : 0;
+      
+      return {
         period: `Q${row.quarter} ${row.year}`,
-        nps_score: row.estimated_customers > 0 
-          ? Math.round((row.estimated_satisfied * 100.0) / row.estimated_customers)
-          : 0,
-        response_count: Number(row.estimated_customers)
-      })),
+        nps_score: npsScore,
+        response_count: Number(row.estimated_customers),
+        confidence_intervals: {
+          nps_score: percentageInterval(npsScore, Number(row.estimated_customers) / sampling.scale_factor, sampling),
+          response_count: countInterval(row.estimated_customers, sampling)
+        }
+      };
+    });
+    
+    return {
+      data,
       success: true,
       query_time: new Date().toISOString(),
+      sampling: describeSampling(sampling),
+      low_sample_warning: hasLowSample(data),
       note: "Optimized NPS proxy using booking completion rates",
       cached: false
     };
@@ -78,40 +94,44 @@ async function getNPSScores(fromDate, toDate) {
 /**
  * OPTIMIZED RE-BOOKING RATES - Fast like 5-metrics API
  * Simplified customer retention analysis
+ * Counts booking events (sql/bookingEvents.js), so a booking is counted once whichever column set it was in
  */
-async function getRebookingRates(fromDate, toDate) {
+async function getRebookingRates(fromDate, toDate, options = {}) {
   try {
     
-    const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-    const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const sampling = getSampling(options.mode, fromDate, toDate, options.seed);
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      tableSample: sampling.tableSample
+    });
     
     const prisma = await getPrisma();
     
     // OPTIMIZED: SQL Engineer's optimized query for Rebooking Rate
     const result = await prisma.$queryRaw`
-      WITH customer_bookings AS (
+      WITH booking_events AS (${bookingEvents}),
+      customer_bookings AS (
         SELECT
           DATEPART(QUARTER, CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)) as quarter,
           YEAR(CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)) as year,
           td_client_id,
-          COUNT(DISTINCT booking_transaction_confirmationno_1) as booking_count
-        FROM preprocessed.pageviews_partitioned TABLESAMPLE (2 PERCENT)
-        WHERE time BETWEEN ${fromTimestamp} AND ${toTimestamp}
-          AND booking_transaction_confirmationno_1 IS NOT NULL
-          AND booking_transaction_confirmationno_1 != ''
-          AND td_client_id IS NOT NULL
+          COUNT(*) as booking_count
+        FROM booking_events
+        WHERE td_client_id IS NOT NULL
           AND td_client_id != ''
         GROUP BY YEAR(CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)),
                  DATEPART(QUARTER, CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)),
                  td_client_id
-        HAVING COUNT(DISTINCT booking_transaction_confirmationno_1) > 0
       )
       SELECT 
         CONCAT('Q', quarter, ' ', year) as period,
         year,
         quarter,
-        COUNT(DISTINCT td_client_id) * 50 as estimated_customers, -- Scale up from 2% sample
-        COUNT(DISTINCT CASE WHEN booking_count > 1 THEN td_client_id END) * 50 as estimated_repeat_customers,
+        COUNT(DISTINCT td_client_id) * ${sampling.scale_factor} as estimated_customers, -- Scale up from the sample
+        COUNT(DISTINCT CASE WHEN booking_count > 1 THEN td_client_id END) * ${sampling.scale_factor} as estimated_repeat_customers,
         CASE 
           WHEN COUNT(DISTINCT td_client_id) > 0 
           THEN ROUND((COUNT(DISTINCT CASE WHEN booking_count > 1 THEN td_client_id END) * 100.0 / COUNT(DISTINCT td_client_id)), 1)
@@ -124,14 +144,22 @@ async function getRebookingRates(fromDate, toDate) {
     `;
     
     
+    const data = result.map(row => ({
+      period: row.period,
+      rebooking_rate: Number(row.rebooking_rate),
+      total_guests: Number(row.estimated_customers),
+      confidence_intervals: {
+        rebooking_rate: percentageInterval(row.rebooking_rate, Number(row.estimated_customers) / sampling.scale_factor, sampling),
+        total_guests: countInterval(row.estimated_customers, sampling)
+      }
+    }));
+    
     return {
-      data: result.map(row => ({
-        period: row.period,
-        rebooking_rate: Number(row.rebooking_rate),
-        total_guests: Number(row.estimated_customers)
-      })),
+      data,
       success: true,
       query_time: new Date().toISOString(),
+      sampling: describeSampling(sampling),
+      low_sample_warning: hasLowSample(data),
       note: "Optimized re-booking analysis using quarterly aggregation",
       cached: false
     };
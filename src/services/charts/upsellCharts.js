@@ -0,0 +1,249 @@
+// Use shared Prisma instance from main service
+const l1Service = require('../l1MetricsService');
+const { bookingEventsQuery } = require('../sql/bookingEvents');
+const { buildHotelIdFilter } = require('../sql/filters');
+const { getBucketExpression, fillSeries, getTimestampRange } = require('../sql/dateBuckets');
+const { DEFAULT_CURRENCY, usdRateExpression, targetRateExpression } = require('../sql/currency');
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+/**
+ * UPSELL CHARTS SERVICE
+ *
+ * This service handles chart data for the Upsell section:
+ * - Chart 1: Upgrade Take Rate over time (Line Chart) + Upgrade Revenue Uplift (KPI)
+ * - Chart 2: Top Rooms Upgraded Into (Bar Chart)
+ * - Chart 3: Top Pages Offering Upgrades (Bar Chart)
+ *
+ * Business Logic Focus:
+ * - How often guests accept a room upgrade and what it adds to revenue
+ * - Where upgrades are offered and which rooms guests move into
+ *
+ * Take rate and uplift come from booking events (sql/bookingEvents.js); the room and
+ * page rankings read the pre-aggregated upgrade_rate_roomname / upgrade_rate_pageurl tables,
+ * so filters are limited to destination= (HotelID).
+ */
+
+const UPSELL_LIST_SIZE = 10;
+
+const UPGRADE_COLUMNS = [
+  'booking_transaction_roombool',
+  'booking_transaction_roomcodeupgrade',
+  'booking_transaction_roomrateupval'
+];
+
+/**
+ * CHART 1: UPGRADE TAKE RATE + REVENUE UPLIFT
+ *
+ * Business Logic:
+ * - Upgraded booking: an upgrade room code was recorded, or the upgrade flag (roombool) is set
+ * - Take rate: upgraded bookings ÷ bookings, per day / week / month bucket
+ * - Uplift: SUM(roomrateupval) of upgraded bookings, converted like Total Revenue
+ *   (USD, or options.currency), and its share of total booking revenue
+ */
+async function getUpgradeTakeRate(fromDate, toDate, options = {}) {
+  try {
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const granularity = options.granularity || 'week';
+    const bucket = getBucketExpression(granularity);
+    const currency = options.currency || DEFAULT_CURRENCY;
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      columns: UPGRADE_COLUMNS
+    });
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH booking_events AS (${bookingEvents}),
+      upgrade_events AS (
+        SELECT
+          ${bucket} AS period_start,
+          CASE
+            WHEN (booking_transaction_roomcodeupgrade IS NOT NULL AND booking_transaction_roomcodeupgrade != '')
+              OR LOWER(booking_transaction_roombool) IN ('true', '1', 'yes')
+            THEN 1 ELSE 0
+          END AS is_upgraded,
+          TRY_CAST(booking_transaction_roomrateupval AS FLOAT) AS upgrade_value,
+          payment_amount,
+          currency_code
+        FROM booking_events
+      )
+      SELECT
+        upgrade_events.period_start,
+        COUNT(*) AS bookings,
+        SUM(upgrade_events.is_upgraded) AS upgraded_bookings,
+        SUM(CASE WHEN upgrade_events.is_upgraded = 1 AND upgrade_events.upgrade_value > 0
+                 THEN upgrade_events.upgrade_value * ${usdRateExpression('upgrade_events.currency_code')} END)
+          / ${targetRateExpression(currency)} AS upgrade_revenue,
+        SUM(CASE WHEN upgrade_events.payment_amount > 0
+                 THEN upgrade_events.payment_amount * ${usdRateExpression('upgrade_events.currency_code')} END)
+          / ${targetRateExpression(currency)} AS total_revenue
+      FROM upgrade_events
+      LEFT JOIN pythia_db.currencies c
+        ON UPPER(c.code) = UPPER(upgrade_events.currency_code)
+      GROUP BY upgrade_events.period_start
+      ORDER BY upgrade_events.period_start
+    `;
+
+    const takeRate = (upgraded, bookings) => (bookings > 0 ? Math.round((upgraded / bookings) * 1000) / 10 : 0);
+
+    const series = fillSeries(result, fromDate, toDate, granularity, ['bookings', 'upgraded_bookings'])
+      .map(point => ({ ...point, take_rate: takeRate(point.upgraded_bookings, point.bookings) }));
+
+    const totals = result.reduce((sum, row) => ({
+      bookings: sum.bookings + (Number(row.bookings) || 0),
+      upgraded_bookings: sum.upgraded_bookings + (Number(row.upgraded_bookings) || 0),
+      upgrade_revenue: sum.upgrade_revenue + (Number(row.upgrade_revenue) || 0),
+      total_revenue: sum.total_revenue + (Number(row.total_revenue) || 0)
+    }), { bookings: 0, upgraded_bookings: 0, upgrade_revenue: 0, total_revenue: 0 });
+
+    return {
+      data: series,
+      granularity,
+      uplift: {
+        bookings: totals.bookings,
+        upgraded_bookings: totals.upgraded_bookings,
+        take_rate: takeRate(totals.upgraded_bookings, totals.bookings),
+        upgrade_revenue: Math.round(totals.upgrade_revenue * 100) / 100,
+        avg_uplift_per_upgrade: totals.upgraded_bookings > 0
+          ? Math.round((totals.upgrade_revenue / totals.upgraded_bookings) * 100) / 100
+          : 0,
+        revenue_share: totals.total_revenue > 0
+          ? Math.round((totals.upgrade_revenue / totals.total_revenue) * 1000) / 10
+          : 0,
+        currency
+      },
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    console.error('❌ Error in getUpgradeTakeRate:', error);
+    return {
+      data: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * CHART 2: TOP ROOMS UPGRADED INTO (Bar Chart)
+ * Source: dbo.upgrade_rate_roomname (daily unique visitors per room, summed)
+ */
+async function getTopUpgradeRooms(fromDate, toDate, options = {}) {
+  try {
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      SELECT TOP (${UPSELL_LIST_SIZE})
+        [Room Name] AS room_name,
+        SUM(CAST([Unique Visitors] AS BIGINT)) AS unique_visitors,
+        SUM(SUM(CAST([Unique Visitors] AS BIGINT))) OVER () AS total_visitors
+      FROM dbo.upgrade_rate_roomname
+      WHERE [Date] BETWEEN ${fromDate} AND ${toDate}
+        ${buildHotelIdFilter(options.filters)}
+        AND [Room Name] IS NOT NULL
+        AND [Room Name] != ''
+      GROUP BY [Room Name]
+      ORDER BY unique_visitors DESC, room_name
+    `;
+
+    const data = result.map(row => {
+      const uniqueVisitors = Number(row.unique_visitors) || 0;
+      const totalVisitors = Number(row.total_visitors) || 0;
+
+      return {
+        room_name: row.room_name,
+        unique_visitors: uniqueVisitors,
+        percentage: totalVisitors > 0 ? Math.round((uniqueVisitors / totalVisitors) * 1000) / 10 : 0
+      };
+    });
+
+    return {
+      data,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    console.error('❌ Error in getTopUpgradeRooms:', error);
+    return {
+      data: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * CHART 3: TOP PAGES OFFERING UPGRADES (Bar Chart)
+ * Source: dbo.upgrade_rate_pageurl (daily visits per page, summed)
+ * The table stores the same page with and without the scheme, so URLs are grouped without it
+ */
+async function getTopUpgradePages(fromDate, toDate, options = {}) {
+  try {
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      SELECT TOP (${UPSELL_LIST_SIZE})
+        page_url,
+        SUM(CAST(Visits AS BIGINT)) AS visits,
+        SUM(SUM(CAST(Visits AS BIGINT))) OVER () AS total_visits
+      FROM dbo.upgrade_rate_pageurl
+      CROSS APPLY (
+        SELECT REPLACE(REPLACE([Page URL], 'https://', ''), 'http://', '') AS page_url
+      ) AS normalized
+      WHERE [Date] BETWEEN ${fromDate} AND ${toDate}
+        ${buildHotelIdFilter(options.filters)}
+        AND [Page URL] IS NOT NULL
+        AND [Page URL] != ''
+      GROUP BY page_url
+      ORDER BY visits DESC, page_url
+    `;
+
+    const data = result.map(row => {
+      const visits = Number(row.visits) || 0;
+      const totalVisits = Number(row.total_visits) || 0;
+
+      return {
+        page_url: row.page_url,
+        visits,
+        percentage: totalVisits > 0 ? Math.round((visits / totalVisits) * 1000) / 10 : 0
+      };
+    });
+
+    return {
+      data,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    console.error('❌ Error in getTopUpgradePages:', error);
+    return {
+      data: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  getUpgradeTakeRate,
+  getTopUpgradeRooms,
+  getTopUpgradePages
+};
@@ -0,0 +1,66 @@
+/**
+ * CURRENCY SERVICE
+ *
+ * Reporting currencies accepted by the currency= parameter: every code in
+ * pythia_db.currencies with a usable exchange rate, plus USD. The list changes rarely,
+ * so it is held in process for an hour instead of being queried on every request.
+ */
+
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { DEFAULT_CURRENCY, normalizeCurrencyCode } = require('./sql/currency');
+
+const CURRENCY_LIST_TTL_MS = 60 * 60 * 1000;
+
+let supportedCurrencies = null;
+let loadedAt = 0;
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+/**
+ * Sorted list of supported currency codes
+ */
+async function getSupportedCurrencies() {
+  if (supportedCurrencies && Date.now() - loadedAt < CURRENCY_LIST_TTL_MS) {
+    return supportedCurrencies;
+  }
+
+  const prisma = await getPrisma();
+  const result = await prisma.$queryRaw`
+    SELECT DISTINCT UPPER(code) AS code
+    FROM pythia_db.currencies
+    WHERE code IS NOT NULL
+      AND exchange_rate_to_usd > 0
+  `;
+
+  const codes = new Set(result.map(row => normalizeCurrencyCode(row.code)).filter(code => code));
+  codes.add(DEFAULT_CURRENCY);
+
+  supportedCurrencies = [...codes].sort();
+  loadedAt = Date.now();
+  logger.info(`Loaded ${supportedCurrencies.length} reporting currencies`);
+
+  return supportedCurrencies;
+}
+
+/**
+ * Normalised currency code when it is supported, otherwise null
+ */
+async function resolveCurrency(code) {
+  const normalized = normalizeCurrencyCode(code);
+  if (!normalized) return null;
+  if (normalized === DEFAULT_CURRENCY) return normalized;
+
+  const currencies = await getSupportedCurrencies();
+  return currencies.includes(normalized) ? normalized : null;
+}
+
+module.exports = {
+  getSupportedCurrencies,
+  resolveCurrency
+};
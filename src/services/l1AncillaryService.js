@@ -0,0 +1,219 @@
+/**
+ * L1 ANCILLARY REVENUE SERVICE
+ *
+ * Add-ons and "personalize your stay" choices on confirmed bookings (sql/bookingEvents.js):
+ *   attach rate   - bookings with an add-on ÷ bookings
+ *   revenue       - booking_transaction_addonspayment (and addonstax), converted like
+ *                   getL1TotalRevenue (USD, or options.currency)
+ *   top add-ons   - items of booking_bookingwidget_addons, counted per booking
+ *   bed types     - booking_bookingwidget_bedtype (/ _1) of the booking
+ *   series        - add-on revenue and its share of total booking value per day / week / month
+ *
+ * A booking has an add-on when it lists one, paid for one (addonspayment > 0) or
+ * personalized the stay (personalizedyourstay set and not false / no / 0).
+ * The add-on list is comma separated; JSON-style brackets and quotes are stripped first.
+ *
+ * Options: { filters, granularity, currency } - filters as in sql/filters.js.
+ */
+
+const { Prisma } = require('../generated/prisma');
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { bookingEventsQuery } = require('./sql/bookingEvents');
+const { getBucketExpression, fillSeries, getTimestampRange } = require('./sql/dateBuckets');
+const { DEFAULT_CURRENCY, usdRateExpression, targetRateExpression } = require('./sql/currency');
+
+// Entries per ranked list (add-ons, bed types)
+const ANCILLARY_LIST_SIZE = 10;
+
+const ANCILLARY_COLUMNS = [
+  'booking_bookingwidget_addons',
+  'booking_bookingwidget_personalizedyourstay',
+  'booking_bookingwidget_bedtype',
+  'booking_bookingwidget_bedtype_1',
+  'booking_transaction_addonspayment',
+  'booking_transaction_addonstax'
+];
+
+const ADDON_LIST = Prisma.sql`REPLACE(REPLACE(REPLACE(booking_bookingwidget_addons, '[', ''), ']', ''), '"', '')`;
+
+const HAS_ADDON = Prisma.sql`(
+    (booking_bookingwidget_addons IS NOT NULL AND LTRIM(RTRIM(${ADDON_LIST})) != '')
+    OR TRY_CAST(booking_transaction_addonspayment AS FLOAT) > 0
+    OR (NULLIF(booking_bookingwidget_personalizedyourstay, '') IS NOT NULL
+        AND LOWER(booking_bookingwidget_personalizedyourstay) NOT IN ('false', 'no', 'n', '0')))`;
+
+const IS_PERSONALIZED = Prisma.sql`(NULLIF(booking_bookingwidget_personalizedyourstay, '') IS NOT NULL
+    AND LOWER(booking_bookingwidget_personalizedyourstay) NOT IN ('false', 'no', 'n', '0'))`;
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * ANCILLARY REVENUE
+ * Attach rate, add-on revenue and its share of booking value over time, top add-ons and bed types
+ */
+async function getL1AncillaryRevenue(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting ancillary revenue from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const granularity = options.granularity || 'week';
+    const currency = options.currency || DEFAULT_CURRENCY;
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      columns: ANCILLARY_COLUMNS
+    });
+
+    const prisma = await getPrisma();
+    const [seriesResult, preferenceResult] = await Promise.all([
+      prisma.$queryRaw`
+        WITH booking_events AS (${bookingEvents}),
+        ancillary_events AS (
+          SELECT
+            ${getBucketExpression(granularity)} AS period_start,
+            CASE WHEN ${HAS_ADDON} THEN 1 ELSE 0 END AS has_addon,
+            CASE WHEN ${IS_PERSONALIZED} THEN 1 ELSE 0 END AS is_personalized,
+            TRY_CAST(booking_transaction_addonspayment AS FLOAT) AS addon_payment,
+            TRY_CAST(booking_transaction_addonstax AS FLOAT) AS addon_tax,
+            payment_amount,
+            currency_code
+          FROM booking_events
+        )
+        SELECT
+          ancillary_events.period_start,
+          COUNT(*) AS bookings,
+          SUM(ancillary_events.has_addon) AS addon_bookings,
+          SUM(ancillary_events.is_personalized) AS personalized_bookings,
+          SUM(CASE WHEN ancillary_events.addon_payment > 0
+                   THEN ancillary_events.addon_payment * ${usdRateExpression('ancillary_events.currency_code')} END)
+            / ${targetRateExpression(currency)} AS addon_revenue,
+          SUM(CASE WHEN ancillary_events.addon_tax > 0
+                   THEN ancillary_events.addon_tax * ${usdRateExpression('ancillary_events.currency_code')} END)
+            / ${targetRateExpression(currency)} AS addon_tax,
+          SUM(CASE WHEN ancillary_events.payment_amount > 0
+                   THEN ancillary_events.payment_amount * ${usdRateExpression('ancillary_events.currency_code')} END)
+            / ${targetRateExpression(currency)} AS total_revenue
+        FROM ancillary_events
+        LEFT JOIN pythia_db.currencies c
+          ON UPPER(c.code) = UPPER(ancillary_events.currency_code)
+        GROUP BY ancillary_events.period_start
+        ORDER BY ancillary_events.period_start
+      `,
+      prisma.$queryRaw`
+        WITH booking_events AS (${bookingEvents}),
+        preferences AS (
+          SELECT 'addon' AS list, addon_items.item AS item, COUNT(DISTINCT booking_events.confirmation_no) AS bookings
+          FROM booking_events
+          CROSS APPLY (
+            SELECT DISTINCT LTRIM(RTRIM(value)) AS item
+            FROM STRING_SPLIT(${ADDON_LIST}, ',')
+          ) AS addon_items
+          WHERE addon_items.item != ''
+          GROUP BY addon_items.item
+          UNION ALL
+          SELECT 'bed_type' AS list, bed.bed_type AS item, COUNT(*) AS bookings
+          FROM booking_events
+          CROSS APPLY (
+            SELECT LTRIM(RTRIM(COALESCE(NULLIF(booking_bookingwidget_bedtype, ''), booking_bookingwidget_bedtype_1))) AS bed_type
+          ) AS bed
+          WHERE bed.bed_type IS NOT NULL
+            AND bed.bed_type != ''
+          GROUP BY bed.bed_type
+        )
+        SELECT list, item, bookings
+        FROM (
+          SELECT
+            list,
+            item,
+            bookings,
+            ROW_NUMBER() OVER (PARTITION BY list ORDER BY bookings DESC, item) AS item_rank
+          FROM preferences
+        ) ranked_preferences
+        WHERE item_rank <= ${ANCILLARY_LIST_SIZE}
+        ORDER BY list, item_rank
+      `
+    ]);
+
+    const series = fillSeries(seriesResult, fromDate, toDate, granularity, ['bookings', 'addon_bookings', 'addon_revenue', 'total_revenue'])
+      .map(point => ({
+        period: point.period,
+        bookings: point.bookings,
+        addon_bookings: point.addon_bookings,
+        attach_rate: percentage(point.addon_bookings, point.bookings),
+        addon_revenue: roundAmount(point.addon_revenue),
+        revenue_share: percentage(point.addon_revenue, point.total_revenue)
+      }));
+
+    const totals = seriesResult.reduce((sum, row) => ({
+      bookings: sum.bookings + (Number(row.bookings) || 0),
+      addon_bookings: sum.addon_bookings + (Number(row.addon_bookings) || 0),
+      personalized_bookings: sum.personalized_bookings + (Number(row.personalized_bookings) || 0),
+      addon_revenue: sum.addon_revenue + (Number(row.addon_revenue) || 0),
+      addon_tax: sum.addon_tax + (Number(row.addon_tax) || 0),
+      total_revenue: sum.total_revenue + (Number(row.total_revenue) || 0)
+    }), { bookings: 0, addon_bookings: 0, personalized_bookings: 0, addon_revenue: 0, addon_tax: 0, total_revenue: 0 });
+
+    // Shares are of the bookings in the range, so add-ons can add up to more than 100%
+    const rankList = list => preferenceResult
+      .filter(row => row.list === list)
+      .map(row => {
+        const bookings = Number(row.bookings) || 0;
+        return { name: row.item, bookings, percentage: percentage(bookings, totals.bookings) };
+      });
+
+    logger.success(`Found ${totals.addon_bookings} of ${totals.bookings} bookings with add-ons`);
+
+    return {
+      summary: {
+        bookings: totals.bookings,
+        addon_bookings: totals.addon_bookings,
+        attach_rate: percentage(totals.addon_bookings, totals.bookings),
+        personalized_bookings: totals.personalized_bookings,
+        personalization_rate: percentage(totals.personalized_bookings, totals.bookings),
+        addon_revenue: roundAmount(totals.addon_revenue),
+        addon_tax: roundAmount(totals.addon_tax),
+        avg_addon_revenue: totals.addon_bookings > 0 ? roundAmount(totals.addon_revenue / totals.addon_bookings) : 0,
+        revenue_share: percentage(totals.addon_revenue, totals.total_revenue)
+      },
+      top_addons: rankList('addon'),
+      bed_types: rankList('bed_type'),
+      data: series,
+      granularity,
+      currency,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1AncillaryRevenue:', error);
+    return {
+      data: [],
+      top_addons: [],
+      bed_types: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  getL1AncillaryRevenue: withCache('getL1AncillaryRevenue', 'trends', getL1AncillaryRevenue)
+};
@@ -0,0 +1,220 @@
+/**
+ * L1 CARD TYPE SERVICE
+ *
+ * Payment mix by booking_transaction_cardtype (single-set column, read from the kept
+ * confirmation row of each booking event, sql/bookingEvents.js):
+ *   card_types - bookings, revenue, ABV and share of each per card type for the range
+ *   series     - bookings, revenue and ABV per card type per day / week / month
+ *   by_hotel   - the same card type split per hotel (hotel_name, falling back to sitedestination)
+ *
+ * Revenue uses both booking column sets and the same conversion as getL1TotalRevenue
+ * (USD, or options.currency). Card types are upper-cased and trimmed so "Visa" and "VISA"
+ * match; bookings without one are reported as UNKNOWN.
+ *
+ * Options: { filters, granularity, currency } - series buckets default to month.
+ */
+
+const { Prisma } = require('../generated/prisma');
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { bookingEventsQuery } = require('./sql/bookingEvents');
+const { getBucketExpression, fillSeries, getTimestampRange } = require('./sql/dateBuckets');
+const { DEFAULT_CURRENCY, usdRateExpression, targetRateExpression } = require('./sql/currency');
+
+// Bucket for bookings whose confirmation row has no card type
+const UNKNOWN_CARD_TYPE = 'UNKNOWN';
+
+const CARD_TYPE_COLUMNS = [
+  'booking_transaction_cardtype',
+  'hotel_name',
+  'sitedestination'
+];
+
+// Normalized card type of a booking event row
+const CARD_TYPE = Prisma.sql`COALESCE(UPPER(LTRIM(RTRIM(NULLIF(booking_transaction_cardtype, '')))), ${UNKNOWN_CARD_TYPE})`;
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Card type entries (largest revenue first) from rows of { card_type, bookings, revenue }
+ */
+function summarizeCardTypes(rows) {
+  const byCardType = new Map();
+  rows.forEach(row => {
+    const entry = byCardType.get(row.card_type) || { card_type: row.card_type, bookings: 0, revenue: 0 };
+    entry.bookings += Number(row.bookings) || 0;
+    entry.revenue += Number(row.revenue) || 0;
+    byCardType.set(row.card_type, entry);
+  });
+
+  const entries = [...byCardType.values()];
+  const totalBookings = entries.reduce((sum, entry) => sum + entry.bookings, 0);
+  const totalRevenue = entries.reduce((sum, entry) => sum + entry.revenue, 0);
+
+  return entries
+    .map(entry => ({
+      card_type: entry.card_type,
+      bookings: entry.bookings,
+      revenue: roundAmount(entry.revenue),
+      abv: entry.bookings > 0 ? roundAmount(entry.revenue / entry.bookings) : 0,
+      booking_share: percentage(entry.bookings, totalBookings),
+      revenue_share: percentage(entry.revenue, totalRevenue)
+    }))
+    // Unknown card types last
+    .sort((a, b) => (a.card_type === UNKNOWN_CARD_TYPE) - (b.card_type === UNKNOWN_CARD_TYPE)
+      || b.revenue - a.revenue
+      || a.card_type.localeCompare(b.card_type));
+}
+
+/**
+ * CARD TYPE MIX
+ * Bookings, revenue and ABV per card type for the range, per bucket and per hotel
+ */
+async function getL1CardTypeMix(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting card type mix from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const granularity = options.granularity || 'month';
+    const currency = options.currency || DEFAULT_CURRENCY;
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      columns: CARD_TYPE_COLUMNS
+    });
+
+    const prisma = await getPrisma();
+    const [seriesResult, hotelResult] = await Promise.all([
+      prisma.$queryRaw`
+        WITH booking_events AS (${bookingEvents}),
+        card_events AS (
+          SELECT
+            ${getBucketExpression(granularity)} AS period_start,
+            ${CARD_TYPE} AS card_type,
+            payment_amount,
+            currency_code
+          FROM booking_events
+        )
+        SELECT
+          card_events.period_start,
+          card_events.card_type,
+          COUNT(*) AS bookings,
+          SUM(CASE WHEN card_events.payment_amount > 0
+                   THEN card_events.payment_amount * ${usdRateExpression('card_events.currency_code')} END)
+            / ${targetRateExpression(currency)} AS revenue
+        FROM card_events
+        LEFT JOIN pythia_db.currencies c
+          ON UPPER(c.code) = UPPER(card_events.currency_code)
+        GROUP BY card_events.period_start, card_events.card_type
+      `,
+      prisma.$queryRaw`
+        WITH booking_events AS (${bookingEvents}),
+        card_events AS (
+          SELECT
+            COALESCE(NULLIF(hotel_name, ''), NULLIF(sitedestination, '')) AS hotel,
+            ${CARD_TYPE} AS card_type,
+            payment_amount,
+            currency_code
+          FROM booking_events
+        )
+        SELECT
+          card_events.hotel,
+          card_events.card_type,
+          COUNT(*) AS bookings,
+          SUM(CASE WHEN card_events.payment_amount > 0
+                   THEN card_events.payment_amount * ${usdRateExpression('card_events.currency_code')} END)
+            / ${targetRateExpression(currency)} AS revenue
+        FROM card_events
+        LEFT JOIN pythia_db.currencies c
+          ON UPPER(c.code) = UPPER(card_events.currency_code)
+        WHERE card_events.hotel IS NOT NULL
+        GROUP BY card_events.hotel, card_events.card_type
+      `
+    ]);
+
+    const cardTypes = summarizeCardTypes(seriesResult);
+
+    const series = Object.fromEntries(cardTypes.map(({ card_type: cardType }) => [
+      cardType,
+      fillSeries(seriesResult.filter(row => row.card_type === cardType), fromDate, toDate, granularity, ['bookings', 'revenue'])
+        .map(point => ({
+          period: point.period,
+          bookings: point.bookings,
+          revenue: roundAmount(point.revenue),
+          abv: point.bookings > 0 ? roundAmount(point.revenue / point.bookings) : 0
+        }))
+    ]));
+
+    const rowsByHotel = new Map();
+    hotelResult.forEach(row => {
+      rowsByHotel.set(row.hotel, [...(rowsByHotel.get(row.hotel) || []), row]);
+    });
+
+    const byHotel = [...rowsByHotel.entries()]
+      .map(([hotel, rows]) => {
+        const hotelCardTypes = summarizeCardTypes(rows);
+        const bookings = hotelCardTypes.reduce((sum, entry) => sum + entry.bookings, 0);
+        const revenue = rows.reduce((sum, row) => sum + (Number(row.revenue) || 0), 0);
+
+        return {
+          hotel,
+          bookings,
+          revenue: roundAmount(revenue),
+          abv: bookings > 0 ? roundAmount(revenue / bookings) : 0,
+          card_types: hotelCardTypes
+        };
+      })
+      .sort((a, b) => b.revenue - a.revenue || a.hotel.localeCompare(b.hotel));
+
+    const totalBookings = cardTypes.reduce((sum, entry) => sum + entry.bookings, 0);
+    const totalRevenue = seriesResult.reduce((sum, row) => sum + (Number(row.revenue) || 0), 0);
+
+    logger.success(`Found ${cardTypes.length} card types over ${totalBookings} bookings`);
+
+    return {
+      totals: {
+        bookings: totalBookings,
+        revenue: roundAmount(totalRevenue),
+        abv: totalBookings > 0 ? roundAmount(totalRevenue / totalBookings) : 0
+      },
+      card_types: cardTypes,
+      series,
+      by_hotel: byHotel,
+      granularity,
+      currency,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1CardTypeMix:', error);
+    return {
+      card_types: [],
+      series: {},
+      by_hotel: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  getL1CardTypeMix: withCache('getL1CardTypeMix', 'trends', getL1CardTypeMix)
+};
@@ -6,18 +6,33 @@
  * 
  * Distributed Services:
  * - awarenessEngagementCharts.js - Traffic and engagement charts
- * - conversionCharts.js - Booking and revenue charts
+ * - conversionCharts.js - Booking, revenue and lead-time charts
  * - stayPostStayCharts.js - Satisfaction and retention charts
+ * - upsellCharts.js - Room upgrade charts
+ *
+ * Options: { filters, mode, seed } - mode is the accuracy mode (exact | sampled | fast | auto)
+ * and seed the REPEATABLE sampling seed,
+ * see sql/sampling.js. Both charts in a section share the same sampling settings.
+ * Conversions also accept currency (reporting currency for revenue trends, see sql/currency.js).
+ * Sampled values carry approximate confidence_intervals (nominal 95%, approximate: true -
+ * see sql/sampling.js); low_sample_warning is set when any value rests on too few sampled
+ * rows to trust.
  */
 
+const { withCache } = require('./cacheService');
+const { getChannelRulesFingerprint } = require('./sql/channelRules');
+
 const {
   getUniqueVisitorsByChannel,
   getLoggedInVsLoggedOut
 } = require('./charts/awarenessEngagementCharts');
 
 const {
+  DEFAULT_LEAD_TIME_BOUNDS,
+  parseLeadTimeBuckets,
   getBookingFunnel,
-  getBookingRevenueTrends
+  getBookingRevenueTrends,
+  getBookingLeadTime
 } = require('./charts/conversionCharts');
 
 const {
@@ -25,19 +40,25 @@ const {
   getRebookingRates
 } = require('./charts/stayPostStayCharts');
 
+const {
+  getUpgradeTakeRate,
+  getTopUpgradeRooms,
+  getTopUpgradePages
+} = require('./charts/upsellCharts');
+
 /**
  * AWARENESS & ENGAGEMENT ENDPOINT DATA
  * Returns data for 2 charts:
  * - Unique Visitors by Channel (Bar Chart)
  * - Logged In vs Logged Out (Donut Chart)
  */
-async function getL1AwarenessEngagementData(fromDate, toDate) {
+async function getL1AwarenessEngagementData(fromDate, toDate, options = {}) {
   try {
     
     // Get both charts data in parallel for performance
     const [visitorsChannelResult, loginStatusResult] = await Promise.all([
-      getUniqueVisitorsByChannel(fromDate, toDate),
-      getLoggedInVsLoggedOut(fromDate, toDate)
+      getUniqueVisitorsByChannel(fromDate, toDate, options),
+      getLoggedInVsLoggedOut(fromDate, toDate, options)
     ]);
     
     // Handle null results from cache misses
@@ -69,6 +90,9 @@ async function getL1AwarenessEngagementData(fromDate, toDate) {
       result: {
         unique_visitors_by_channel: visitorsChannelResult.data,
         logged_in_vs_out: loginStatusResult.data,
+        channel_rules_version: visitorsChannelResult.channel_rules_version,
+        sampling: visitorsChannelResult.sampling,
+        low_sample_warning: visitorsChannelResult.low_sample_warning || loginStatusResult.low_sample_warning,
         date_range: `${fromDate} to ${toDate}`,
         charts_count: 2
       }
@@ -90,13 +114,13 @@ async function getL1AwarenessEngagementData(fromDate, toDate) {
  * - Booking Funnel (Funnel Chart)
  * - Booking Revenue Trends (Line Chart)
  */
-async function getL1ConversionsData(fromDate, toDate) {
+async function getL1ConversionsData(fromDate, toDate, options = {}) {
   try {
     
     // Get both charts data in parallel for performance
     const [bookingFunnelResult, revenueTrendsResult] = await Promise.all([
-      getBookingFunnel(fromDate, toDate),
-      getBookingRevenueTrends(fromDate, toDate)
+      getBookingFunnel(fromDate, toDate, options),
+      getBookingRevenueTrends(fromDate, toDate, options)
     ]);
     
     // Check if all queries succeeded
@@ -119,6 +143,9 @@ async function getL1ConversionsData(fromDate, toDate) {
       result: {
         booking_funnel: bookingFunnelResult.data,
         booking_revenue_trends: revenueTrendsResult.data,
+        revenue_currency: revenueTrendsResult.currency,
+        sampling: bookingFunnelResult.sampling,
+        low_sample_warning: bookingFunnelResult.low_sample_warning || revenueTrendsResult.low_sample_warning,
         date_range: `${fromDate} to ${toDate}`,
         charts_count: 2
       }
@@ -140,13 +167,13 @@ async function getL1ConversionsData(fromDate, toDate) {
  * - NPS Scores (Bar Chart)
  * - Re-booking Rates (Line Chart)
  */
-async function getL1StayPostStayData(fromDate, toDate) {
+async function getL1StayPostStayData(fromDate, toDate, options = {}) {
   try {
     
     // Get both charts data in parallel for performance
     const [npsScoresResult, rebookingRatesResult] = await Promise.all([
-      getNPSScores(fromDate, toDate),
-      getRebookingRates(fromDate, toDate)
+      getNPSScores(fromDate, toDate, options),
+      getRebookingRates(fromDate, toDate, options)
     ]);
     
     // Check if all queries succeeded
@@ -169,6 +196,8 @@ async function getL1StayPostStayData(fromDate, toDate) {
       result: {
         nps_scores: npsScoresResult.data,
         rebooking_rates: rebookingRatesResult.data,
+        sampling: npsScoresResult.sampling,
+        low_sample_warning: npsScoresResult.low_sample_warning || rebookingRatesResult.low_sample_warning,
         date_range: `${fromDate} to ${toDate}`,
         charts_count: 2,
         notes: {
@@ -188,22 +217,89 @@ async function getL1StayPostStayData(fromDate, toDate) {
   }
 }
 
+/**
+ * UPSELL ENDPOINT DATA
+ * Returns data for 3 charts:
+ * - Upgrade Take Rate (Line Chart) with the upgrade revenue uplift
+ * - Top Rooms Upgraded Into (Bar Chart)
+ * - Top Pages Offering Upgrades (Bar Chart)
+ * Options: { filters, granularity, currency } - filters limited to destination (HotelID)
+ */
+async function getL1UpsellData(fromDate, toDate, options = {}) {
+  try {
+    
+    // Get all charts data in parallel for performance
+    const [takeRateResult, roomsResult, pagesResult] = await Promise.all([
+      getUpgradeTakeRate(fromDate, toDate, options),
+      getTopUpgradeRooms(fromDate, toDate, options),
+      getTopUpgradePages(fromDate, toDate, options)
+    ]);
+    
+    // Check if all queries succeeded
+    const hasErrors = !takeRateResult.success || !roomsResult.success || !pagesResult.success;
+    
+    if (hasErrors) {
+      const errors = [];
+      if (!takeRateResult.success) errors.push(`Upgrade Take Rate: ${takeRateResult.error}`);
+      if (!roomsResult.success) errors.push(`Top Upgrade Rooms: ${roomsResult.error}`);
+      if (!pagesResult.success) errors.push(`Top Upgrade Pages: ${pagesResult.error}`);
+      
+      return {
+        success: false,
+        error: 'One or more chart queries failed',
+        details: errors
+      };
+    }
+    
+    return {
+      success: true,
+      result: {
+        upgrade_take_rate: takeRateResult.data,
+        upgrade_uplift: takeRateResult.uplift,
+        top_upgrade_rooms: roomsResult.data,
+        top_upgrade_pages: pagesResult.data,
+        granularity: takeRateResult.granularity,
+        date_range: `${fromDate} to ${toDate}`,
+        charts_count: 3
+      }
+    };
+    
+  } catch (error) {
+    console.error('❌ Error in getL1UpsellData:', error);
+    return {
+      success: false,
+      error: 'Failed to get upsell data',
+      message: error.message
+    };
+  }
+}
+
 /**
  * INDIVIDUAL CHART FUNCTIONS
  * Export individual chart functions for specific API endpoints
  */
 
 module.exports = {
-  // Main endpoint aggregators
-  getL1AwarenessEngagementData,
-  getL1ConversionsData,
-  getL1StayPostStayData,
+  // Lead-time histogram buckets (buckets= parameter)
+  DEFAULT_LEAD_TIME_BOUNDS,
+  parseLeadTimeBuckets,
   
-  // Individual chart functions
-  getUniqueVisitorsByChannel,
-  getLoggedInVsLoggedOut,
-  getBookingFunnel,
-  getBookingRevenueTrends,
-  getNPSScores,
-  getRebookingRates
+  // Main endpoint aggregators (cached)
+  getL1AwarenessEngagementData: withCache('getL1AwarenessEngagementData', 'charts', getL1AwarenessEngagementData, {
+    keyVersion: getChannelRulesFingerprint
+  }),
+  getL1ConversionsData: withCache('getL1ConversionsData', 'charts', getL1ConversionsData),
+  getL1StayPostStayData: withCache('getL1StayPostStayData', 'trends', getL1StayPostStayData),
+  getL1UpsellData: withCache('getL1UpsellData', 'charts', getL1UpsellData),
+  
+  // Individual chart functions (cached)
+  getUniqueVisitorsByChannel: withCache('getUniqueVisitorsByChannel', 'charts', getUniqueVisitorsByChannel, {
+    keyVersion: getChannelRulesFingerprint
+  }),
+  getLoggedInVsLoggedOut: withCache('getLoggedInVsLoggedOut', 'charts', getLoggedInVsLoggedOut),
+  getBookingFunnel: withCache('getBookingFunnel', 'charts', getBookingFunnel),
+  getBookingRevenueTrends: withCache('getBookingRevenueTrends', 'trends', getBookingRevenueTrends),
+  getBookingLeadTime: withCache('getBookingLeadTime', 'trends', getBookingLeadTime),
+  getNPSScores: withCache('getNPSScores', 'trends', getNPSScores),
+  getRebookingRates: withCache('getRebookingRates', 'trends', getRebookingRates)
 };
@@ -0,0 +1,242 @@
+/**
+ * L1 DIMENSION REPORT SERVICE
+ *
+ * Performance reports per booking-path dimension, read from pageviews:
+ *   rate_plan   - roomarray_rateplancode (/ _1), falling back to filter_filterinfo_rateplancode (/ _1)
+ *   offer       - roomarray_offername, falling back to filter_filterinfo_offername (/ _1)
+ *   access_code - roomarray_accesscode, falling back to filter_filterinfo_accesscode (/ _1)
+ *   room_type   - roomarray_roomcode, falling back to filter_filterinfo_roomcode / filter_filterinfo_roomtype,
+ *                 named by roomarray_roomname / filter_filterinfo_roomname (/ _1)
+ *
+ * Per dimension value:
+ *   views           - distinct visitors with a pageview carrying the value
+ *   selections      - distinct visitors carrying the value on a room-selection pageview (HAS_ROOM_SELECTION)
+ *   bookings        - booking events (sql/bookingEvents.js) whose confirmation row carries the value
+ *   room_nights     - nights of those bookings (sql/bookingEvents.js room_nights)
+ *   revenue / abv   - converted like getL1TotalRevenue (USD, or options.currency)
+ *   avg_booked_rate - average booking_transaction_roomrate of those bookings, converted the same way
+ *   conversion_rate - bookings ÷ views
+ *
+ * Options: { dimension, filters, currency, sorting, pagination } - sorting as parsed by
+ * parseReportSorting, pagination as in sql/pagination.js. Exact (not sampled).
+ */
+
+const { Prisma } = require('../generated/prisma');
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { buildPageviewFilters } = require('./sql/filters');
+const { bookingEventsQuery, HAS_ROOM_SELECTION } = require('./sql/bookingEvents');
+const { DEFAULT_CURRENCY, usdRateExpression, targetRateExpression } = require('./sql/currency');
+const { buildPageClause, describePagination } = require('./sql/pagination');
+const { getTimestampRange } = require('./sql/dateBuckets');
+const { SORT_FIELDS, DEFAULT_SORTING, parseReportSorting } = require('../utils/reportSorting');
+
+/**
+ * First non-empty value of the given pageviews columns
+ */
+function firstValue(columns) {
+  return Prisma.raw(`COALESCE(${columns.map(column => `NULLIF(${column}, '')`).join(', ')})`);
+}
+
+/**
+ * Dimension definitions: value and label columns in priority order.
+ * Column names are fixed here, never taken from the request.
+ */
+function defineDimension(valueColumns, labelColumns = []) {
+  return {
+    value: firstValue(valueColumns),
+    label: labelColumns.length > 0 ? firstValue(labelColumns) : Prisma.raw('NULL'),
+    columns: [...valueColumns, ...labelColumns]
+  };
+}
+
+const DIMENSIONS = {
+  rate_plan: defineDimension(
+    ['roomarray_rateplancode', 'roomarray_rateplancode_1', 'filter_filterinfo_rateplancode', 'filter_filterinfo_rateplancode_1'],
+    ['roomarray_rateplanname', 'roomarray_rateplanname_1', 'filter_filterinfo_rateplanname', 'filter_filterinfo_rateplanname_1']
+  ),
+  offer: defineDimension(
+    ['roomarray_offername', 'filter_filterinfo_offername', 'filter_filterinfo_offername_1']
+  ),
+  access_code: defineDimension(
+    ['roomarray_accesscode', 'filter_filterinfo_accesscode', 'filter_filterinfo_accesscode_1']
+  ),
+  room_type: defineDimension(
+    ['roomarray_roomcode', 'filter_filterinfo_roomcode', 'filter_filterinfo_roomtype'],
+    ['roomarray_roomname', 'filter_filterinfo_roomname', 'filter_filterinfo_roomname_1']
+  )
+};
+
+const DIMENSION_NAMES = Object.keys(DIMENSIONS);
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+/**
+ * DIMENSION REPORT
+ * Views, selections, bookings, room nights, revenue, ABV, booked rate and conversion per
+ * dimension value, sorted and paged
+ */
+async function getL1DimensionReport(fromDate, toDate, options = {}) {
+  const { dimension, filters, pagination } = options;
+  const sorting = { ...DEFAULT_SORTING, ...options.sorting };
+
+  try {
+    const config = DIMENSIONS[dimension];
+    if (!config) {
+      throw new Error(`Unknown report dimension "${dimension}". Use one of: ${DIMENSION_NAMES.join(', ')}`);
+    }
+
+    logger.query(`Getting ${dimension} report from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const currency = options.currency || DEFAULT_CURRENCY;
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters,
+      columns: [...config.columns, 'booking_transaction_memberrate', 'booking_transaction_roomrate']
+    });
+
+    const reportSql = Prisma.sql`
+      WITH dimension_rows AS (
+        SELECT
+          td_client_id,
+          ${config.value} AS dimension_value,
+          ${config.label} AS dimension_label,
+          CASE WHEN ${HAS_ROOM_SELECTION} THEN 1 ELSE 0 END AS is_selection
+        FROM preprocessed.pageviews_partitioned
+        WHERE time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+          ${buildPageviewFilters(filters)}
+          AND td_client_id IS NOT NULL
+          AND td_client_id != ''
+      ),
+      dimension_views AS (
+        SELECT
+          dimension_value,
+          MAX(dimension_label) AS dimension_label,
+          COUNT(DISTINCT td_client_id) AS views,
+          COUNT(DISTINCT CASE WHEN is_selection = 1 THEN td_client_id END) AS selections
+        FROM dimension_rows
+        WHERE dimension_value IS NOT NULL
+        GROUP BY dimension_value
+      ),
+      booking_events AS (${bookingEvents}),
+      booking_values AS (
+        SELECT
+          ${config.value} AS dimension_value,
+          CASE WHEN TRY_CAST(booking_transaction_memberrate AS FLOAT) > 0
+                 OR LOWER(booking_transaction_memberrate) IN ('true', 'yes', 'y')
+               THEN 1 ELSE 0 END AS is_member_rate,
+          CASE WHEN booking_events.room_nights > 0 THEN booking_events.room_nights END AS room_nights,
+          CASE WHEN booking_events.payment_amount > 0
+               THEN booking_events.payment_amount * ${usdRateExpression('booking_events.currency_code')} END AS payment_usd,
+          CASE WHEN TRY_CAST(booking_transaction_roomrate AS FLOAT) > 0
+               THEN TRY_CAST(booking_transaction_roomrate AS FLOAT) * ${usdRateExpression('booking_events.currency_code')} END AS room_rate_usd
+        FROM booking_events
+        LEFT JOIN pythia_db.currencies c
+          ON UPPER(c.code) = UPPER(booking_events.currency_code)
+      ),
+      dimension_bookings AS (
+        SELECT
+          dimension_value,
+          COUNT(*) AS bookings,
+          SUM(is_member_rate) AS member_rate_bookings,
+          SUM(room_nights) AS room_nights,
+          SUM(payment_usd) / ${targetRateExpression(currency)} AS revenue,
+          AVG(room_rate_usd) / ${targetRateExpression(currency)} AS avg_booked_rate
+        FROM booking_values
+        WHERE dimension_value IS NOT NULL
+        GROUP BY dimension_value
+      ),
+      report AS (
+        SELECT
+          dimension_views.dimension_value,
+          dimension_views.dimension_label,
+          dimension_views.views,
+          dimension_views.selections,
+          COALESCE(dimension_bookings.bookings, 0) AS bookings,
+          COALESCE(dimension_bookings.member_rate_bookings, 0) AS member_rate_bookings,
+          COALESCE(dimension_bookings.room_nights, 0) AS room_nights,
+          COALESCE(dimension_bookings.revenue, 0) AS revenue,
+          COALESCE(dimension_bookings.revenue / NULLIF(dimension_bookings.bookings, 0), 0) AS abv,
+          COALESCE(dimension_bookings.avg_booked_rate, 0) AS avg_booked_rate,
+          COALESCE(CAST(dimension_bookings.bookings AS FLOAT) / NULLIF(dimension_views.views, 0) * 100, 0) AS conversion_rate
+        FROM dimension_views
+        LEFT JOIN dimension_bookings
+          ON dimension_bookings.dimension_value = dimension_views.dimension_value
+        WHERE dimension_views.views >= ${sorting.min_volume}
+      )`;
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      ${reportSql}
+      SELECT report.*, COUNT(*) OVER () AS total_items
+      FROM report
+      ORDER BY ${Prisma.raw(`${sorting.sort} ${sorting.order.toUpperCase()}`)}, dimension_value
+      ${buildPageClause(pagination)}
+    `;
+
+    // A page past the end returns no rows, so the total needs its own query
+    let totalItems = result[0] ? Number(result[0].total_items) : null;
+    if (totalItems === null) {
+      const countResult = await prisma.$queryRaw`
+        ${reportSql}
+        SELECT COUNT(*) AS total_items FROM report
+      `;
+      totalItems = Number(countResult[0].total_items) || 0;
+    }
+
+    const pageInfo = describePagination(pagination, totalItems);
+
+    const items = result.map((row, index) => ({
+      rank: (pageInfo.page - 1) * pageInfo.page_size + index + 1,
+      [dimension]: row.dimension_value,
+      ...(row.dimension_label !== undefined && row.dimension_label !== null && { name: row.dimension_label }),
+      views: Number(row.views) || 0,
+      selections: Number(row.selections) || 0,
+      bookings: Number(row.bookings) || 0,
+      member_rate_bookings: Number(row.member_rate_bookings) || 0,
+      room_nights: Number(row.room_nights) || 0,
+      revenue: Math.round((Number(row.revenue) || 0) * 100) / 100,
+      abv: Math.round((Number(row.abv) || 0) * 100) / 100,
+      avg_booked_rate: Math.round((Number(row.avg_booked_rate) || 0) * 100) / 100,
+      conversion_rate: Math.round((Number(row.conversion_rate) || 0) * 100) / 100
+    }));
+
+    logger.success(`Found ${totalItems} ${dimension} values`);
+
+    return {
+      dimension,
+      items,
+      currency,
+      sorting,
+      pagination: pageInfo,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1DimensionReport:', error);
+    return {
+      dimension,
+      items: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  DIMENSION_NAMES,
+  SORT_FIELDS,
+  parseReportSorting,
+  getL1DimensionReport: withCache('getL1DimensionReport', 'trends', getL1DimensionReport)
+};
@@ -0,0 +1,87 @@
+/**
+ * L1 FILTER OPTIONS SERVICE
+ *
+ * Lists the values accepted by the hotel / brand / country / destination filters
+ * (see sql/filters.js) for properties that have traffic in the selected date range.
+ */
+
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { getTimestampRange } = require('./sql/dateBuckets');
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+function distinctSorted(values) {
+  return [...new Set(values.filter(value => value))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * FILTER OPTIONS
+ * One GROUP BY over the property columns; brands, countries and destinations
+ * are derived from the hotel rows so every listed value has at least one hotel
+ */
+async function getL1FilterOptions(fromDate, toDate) {
+  try {
+    logger.query(`Getting filter options from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      SELECT
+          hotel_name,
+          hotel_brand,
+          hotel_city,
+          hotel_country,
+          sitedestination,
+          COUNT(*) AS pageviews
+      FROM preprocessed.pageviews_partitioned
+      WHERE time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+        AND hotel_name IS NOT NULL
+        AND hotel_name != ''
+      GROUP BY hotel_name, hotel_brand, hotel_city, hotel_country, sitedestination
+      ORDER BY hotel_name
+    `;
+
+    const hotels = result.map(row => ({
+      hotel: row.hotel_name,
+      brand: row.hotel_brand || null,
+      city: row.hotel_city || null,
+      country: row.hotel_country || null,
+      destination: row.sitedestination || null,
+      pageviews: Number(row.pageviews)
+    }));
+
+    return {
+      hotels,
+      brands: distinctSorted(hotels.map(hotel => hotel.brand)),
+      countries: distinctSorted(hotels.map(hotel => hotel.country)),
+      destinations: distinctSorted(hotels.map(hotel => hotel.destination)),
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1FilterOptions:', error);
+    return {
+      hotels: [],
+      brands: [],
+      countries: [],
+      destinations: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  getL1FilterOptions: withCache('getL1FilterOptions', 'trends', getL1FilterOptions)
+};
@@ -0,0 +1,141 @@
+/**
+ * L1 LEAD GENERATION SERVICE
+ *
+ * Member sign-ups and wedding enquiries from the pre-aggregated
+ * dbo.member_signup_page_velocity_wedding_enquiries table
+ * (Member Signups, Page Views, Visits, Wedding Enquiries per Date and HotelID).
+ *
+ * Options: { granularity, filters } - granularity of the series (default day),
+ * filters.destination matches HotelID (sql/filters.js).
+ * Rows with HotelID NULL (traffic not attributed to a property) or 'global' (site-wide
+ * pages) are part of the totals but not of the per-hotel breakdown; they are reported
+ * together as portfolio, so hotels + portfolio add up to the totals.
+ */
+
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { buildHotelIdFilter, PORTFOLIO_HOTEL_IDS } = require('./sql/filters');
+const { AGGREGATE_DATE, getBucketExpression, fillSeries } = require('./sql/dateBuckets');
+
+const VALUE_FIELDS = ['member_signups', 'page_views', 'visits', 'wedding_enquiries'];
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+/**
+ * Rates per 1,000 visits (one decimal)
+ */
+function withRates(values) {
+  const perThousandVisits = count => (values.visits > 0 ? Math.round((count / values.visits) * 10000) / 10 : 0);
+
+  return {
+    ...values,
+    signups_per_1000_visits: perThousandVisits(values.member_signups),
+    enquiries_per_1000_visits: perThousandVisits(values.wedding_enquiries)
+  };
+}
+
+function toValues(row) {
+  const values = {};
+  VALUE_FIELDS.forEach(field => { values[field] = Number(row[field]) || 0; });
+  return values;
+}
+
+function sumValues(rows) {
+  return rows.reduce((sum, row) => {
+    const values = toValues(row);
+    VALUE_FIELDS.forEach(field => { sum[field] += values[field]; });
+    return sum;
+  }, toValues({}));
+}
+
+function isPortfolioRow(row) {
+  return !row.hotel_id || PORTFOLIO_HOTEL_IDS.includes(String(row.hotel_id).toLowerCase());
+}
+
+/**
+ * LEAD GENERATION
+ * Series per bucket, period totals, per-hotel breakdown and the portfolio (non-property) rows
+ */
+async function getL1LeadGeneration(fromDate, toDate, options = {}) {
+  const granularity = options.granularity || 'day';
+
+  try {
+    logger.query(`Getting lead generation ${granularity} series from ${fromDate} to ${toDate}`);
+
+    const bucket = getBucketExpression(granularity, AGGREGATE_DATE);
+    const hotelFilter = buildHotelIdFilter(options.filters);
+
+    const prisma = await getPrisma();
+    const [seriesResult, hotelResult] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT
+          ${bucket} AS period_start,
+          SUM(CAST([Member Signups] AS BIGINT)) AS member_signups,
+          SUM(CAST([Page Views] AS BIGINT)) AS page_views,
+          SUM(CAST(Visits AS BIGINT)) AS visits,
+          SUM(CAST([Wedding Enquiries] AS BIGINT)) AS wedding_enquiries
+        FROM dbo.member_signup_page_velocity_wedding_enquiries
+        WHERE [Date] BETWEEN ${fromDate} AND ${toDate}
+          ${hotelFilter}
+        GROUP BY ${bucket}
+        ORDER BY period_start
+      `,
+      prisma.$queryRaw`
+        SELECT
+          HotelID AS hotel_id,
+          SUM(CAST([Member Signups] AS BIGINT)) AS member_signups,
+          SUM(CAST([Page Views] AS BIGINT)) AS page_views,
+          SUM(CAST(Visits AS BIGINT)) AS visits,
+          SUM(CAST([Wedding Enquiries] AS BIGINT)) AS wedding_enquiries
+        FROM dbo.member_signup_page_velocity_wedding_enquiries
+        WHERE [Date] BETWEEN ${fromDate} AND ${toDate}
+          ${hotelFilter}
+        GROUP BY HotelID
+        ORDER BY member_signups DESC, wedding_enquiries DESC, hotel_id
+      `
+    ]);
+
+    const series = fillSeries(seriesResult, fromDate, toDate, granularity, VALUE_FIELDS)
+      .map(point => withRates(point));
+
+    const totals = sumValues(seriesResult);
+
+    const hotels = hotelResult
+      .filter(row => !isPortfolioRow(row))
+      .map(row => withRates({ hotel_id: row.hotel_id, ...toValues(row) }));
+    const portfolio = sumValues(hotelResult.filter(isPortfolioRow));
+
+    logger.success(`Found ${totals.member_signups} member sign-ups and ${totals.wedding_enquiries} wedding enquiries`);
+
+    return {
+      series,
+      granularity,
+      totals: withRates(totals),
+      hotels,
+      portfolio: withRates(portfolio),
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1LeadGeneration:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  getL1LeadGeneration: withCache('getL1LeadGeneration', 'trends', getL1LeadGeneration)
+};
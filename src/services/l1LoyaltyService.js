@@ -0,0 +1,185 @@
+/**
+ * L1 LOYALTY SERVICE
+ *
+ * GHA DISCOVERY (gravty) balances and point activity per member tier, from the
+ * user_userinfo_gravty_gravty_* columns on pageviews.
+ *
+ * Members are identified by gravty_id. Each member is counted once for the date range,
+ * using their latest pageview that carries a balance (the latest pageview otherwise),
+ * so the balance, accrued, redeemed and expired figures are the members' latest
+ * account totals, not activity summed over pageviews.
+ *
+ * Options: { filters } - property filters as in sql/filters.js. Not sampled: members must
+ * be de-duplicated across the whole range.
+ */
+
+const { Prisma } = require('../generated/prisma');
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { buildPageviewFilters } = require('./sql/filters');
+const { HAS_CONFIRMATION } = require('./sql/bookingEvents');
+const { UNKNOWN_TIER, MEMBER_TIER } = require('./sql/memberTiers');
+const { getTimestampRange } = require('./sql/dateBuckets');
+
+// Balance bands (lower bound inclusive); members without a recorded balance go to NOT_RECORDED
+const BALANCE_BANDS = [
+  { band: '0', max: 0 },
+  { band: '0-50', max: 50 },
+  { band: '50-200', max: 200 },
+  { band: '200-500', max: 500 },
+  { band: '500+', max: null }
+];
+const NOT_RECORDED = 'not_recorded';
+
+const VALUE_FIELDS = ['members', 'booked_members', 'balance', 'accrued', 'redeemed', 'expired'];
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+/**
+ * CASE expression mapping a balance to its BALANCE_BANDS label
+ */
+function buildBalanceBand(column) {
+  const branches = BALANCE_BANDS.map(({ band, max }) => {
+    if (max === null) return Prisma.sql`ELSE ${band}`;
+    return max === 0
+      ? Prisma.sql`WHEN ${column} <= 0 THEN ${band}`
+      : Prisma.sql`WHEN ${column} < ${max} THEN ${band}`;
+  });
+
+  return Prisma.sql`CASE WHEN ${column} IS NULL THEN ${NOT_RECORDED} ${Prisma.join(branches, ' ')} END`;
+}
+
+function emptyTier(tier) {
+  const summary = { member_tier: tier, balance_distribution: {} };
+  VALUE_FIELDS.forEach(field => { summary[field] = 0; });
+  [...BALANCE_BANDS.map(({ band }) => band), NOT_RECORDED].forEach(band => { summary.balance_distribution[band] = 0; });
+  return summary;
+}
+
+/**
+ * Averages, redemption rate and booking conversion rate for a tier (or the totals)
+ */
+function withRates(summary) {
+  const round = value => Math.round(value * 100) / 100;
+  const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+  const membersWithBalance = summary.members - summary.balance_distribution[NOT_RECORDED];
+
+  return {
+    member_tier: summary.member_tier,
+    members: summary.members,
+    booked_members: summary.booked_members,
+    booking_conversion_rate: percentage(summary.booked_members, summary.members),
+    balance: {
+      total: round(summary.balance),
+      average: membersWithBalance > 0 ? round(summary.balance / membersWithBalance) : 0,
+      distribution: summary.balance_distribution
+    },
+    points: {
+      accrued: round(summary.accrued),
+      redeemed: round(summary.redeemed),
+      expired: round(summary.expired),
+      redemption_rate: percentage(summary.redeemed, summary.accrued),
+      expiry_rate: percentage(summary.expired, summary.accrued)
+    }
+  };
+}
+
+/**
+ * LOYALTY BY MEMBER TIER
+ * Balance distribution, accrued / redeemed / expired totals and booking conversion per tier
+ */
+async function getL1Loyalty(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting loyalty balances from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH member_rows AS (
+        SELECT
+          user_userinfo_gravty_gravty_id AS gravty_id,
+          ${MEMBER_TIER} AS member_tier,
+          TRY_CAST(user_userinfo_gravty_gravty_discovery_balance AS FLOAT) AS balance,
+          TRY_CAST(user_userinfo_gravty_gravty_total_accrued AS FLOAT) AS accrued,
+          TRY_CAST(user_userinfo_gravty_gravty_total_redeemed AS FLOAT) AS redeemed,
+          TRY_CAST(user_userinfo_gravty_gravty_total_expired AS FLOAT) AS expired,
+          MAX(CASE WHEN ${HAS_CONFIRMATION} THEN 1 ELSE 0 END)
+            OVER (PARTITION BY user_userinfo_gravty_gravty_id) AS has_booked,
+          ROW_NUMBER() OVER (
+            PARTITION BY user_userinfo_gravty_gravty_id
+            ORDER BY CASE WHEN TRY_CAST(user_userinfo_gravty_gravty_discovery_balance AS FLOAT) IS NOT NULL THEN 0 ELSE 1 END,
+                     time DESC
+          ) AS member_rank
+        FROM preprocessed.pageviews_partitioned
+        WHERE time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+          ${buildPageviewFilters(options.filters)}
+          AND user_userinfo_gravty_gravty_id IS NOT NULL
+          AND user_userinfo_gravty_gravty_id != ''
+      ),
+      members AS (
+        SELECT
+          COALESCE(member_tier, ${UNKNOWN_TIER}) AS member_tier,
+          ${buildBalanceBand(Prisma.sql`balance`)} AS balance_band,
+          has_booked, balance, accrued, redeemed, expired
+        FROM member_rows
+        WHERE member_rank = 1
+      )
+      SELECT
+        member_tier,
+        balance_band,
+        COUNT(*) AS members,
+        SUM(has_booked) AS booked_members,
+        SUM(balance) AS balance,
+        SUM(accrued) AS accrued,
+        SUM(redeemed) AS redeemed,
+        SUM(expired) AS expired
+      FROM members
+      GROUP BY member_tier, balance_band
+    `;
+
+    // Rows are per tier and balance band; fold them into per-tier summaries and the totals
+    const tiers = {};
+    const totals = emptyTier('ALL');
+    result.forEach(row => {
+      const tier = tiers[row.member_tier] || (tiers[row.member_tier] = emptyTier(row.member_tier));
+      [tier, totals].forEach(summary => {
+        VALUE_FIELDS.forEach(field => { summary[field] += Number(row[field]) || 0; });
+        summary.balance_distribution[row.balance_band] += Number(row.members) || 0;
+      });
+    });
+
+    const data = Object.values(tiers)
+      .sort((a, b) => b.members - a.members || a.member_tier.localeCompare(b.member_tier))
+      .map(withRates);
+
+    logger.success(`Found ${totals.members} loyalty members across ${data.length} tiers`);
+
+    return {
+      data,
+      totals: withRates(totals),
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1Loyalty:', error);
+    return {
+      data: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  getL1Loyalty: withCache('getL1Loyalty', 'trends', getL1Loyalty)
+};
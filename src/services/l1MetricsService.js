@@ -1,5 +1,11 @@
 const { PrismaClient } = require('../generated/prisma');
 const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { buildPageviewFilters } = require('./sql/filters');
+const { bookingEventsQuery, ROOM_PAYMENT_COLUMN, ROOM_PAYMENT } = require('./sql/bookingEvents');
+const { DEFAULT_CURRENCY, usdRateExpression, targetRateExpression } = require('./sql/currency');
+const { getTimestampRange } = require('./sql/dateBuckets');
+const { getComparisonPeriods } = require('../utils/dateRanges');
 
 // Initialize Prisma client with CONNECTION POOLING for optimal analytics performance
 let prisma;
@@ -136,6 +142,10 @@ async function checkConnectionHealth() {
  * L1 Metrics Service - Fast Prisma implementation using raw SQL
  * Replaces slow Laravel backend with optimized SQL queries through Prisma
  * Note: Using raw SQL because pageviews table has no unique identifier
+ * All metrics accept an options object; options.filters (hotel / brand / country /
+ * destination, see sql/filters.js) narrows every query to the selected properties
+ * Booking metrics (bookings, room nights, revenue) read the deduplicated booking events
+ * from sql/bookingEvents.js, so they count the same bookings as the conversion charts
  */
 
 /**
@@ -144,7 +154,7 @@ async function checkConnectionHealth() {
  * Database Logic: COUNT(DISTINCT td_client_id) 
  * Performance: Date filtering + null handling
  */
-async function getL1UniqueVisitors(fromDate, toDate) {
+async function getL1UniqueVisitors(fromDate, toDate, options = {}) {
   // DIRECT DATABASE QUERY (Caching disabled for reliability)
   try {
         // Ensure Prisma is initialized
@@ -153,8 +163,8 @@ async function getL1UniqueVisitors(fromDate, toDate) {
         logger.query(`Getting unique visitors from ${fromDate} to ${toDate}`);
         
         // Convert dates to Unix timestamps (database uses BigInt timestamps)
-        const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-        const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+        const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+        const filterSql = buildPageviewFilters(options.filters);
         
         // OPTIMIZED: Use WITH clause for better performance
         const result = await prisma.$queryRaw`
@@ -165,7 +175,8 @@ async function getL1UniqueVisitors(fromDate, toDate) {
               WHERE 
                   td_client_id IS NOT NULL
                   AND td_client_id != ''
-                  AND time BETWEEN ${fromTimestamp} AND ${toTimestamp}
+                  AND time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+                  ${filterSql}
           )
           SELECT COUNT(DISTINCT td_client_id) AS unique_visitors
           FROM filtered_pageviews
@@ -196,10 +207,10 @@ async function getL1UniqueVisitors(fromDate, toDate) {
 /**
  * METRIC 2: TOTAL BOOKINGS
  * Business Logic: Total completed bookings with confirmation numbers
- * Database Logic: COUNT(DISTINCT confirmation_no) from UNION of both confirmation columns
+ * Database Logic: One booking event per distinct confirmation number across both column sets
  * Performance: Date filtering + non-null confirmations
  */
-async function getL1TotalBookings(fromDate, toDate) {
+async function getL1TotalBookings(fromDate, toDate, options = {}) {
   // DIRECT DATABASE QUERY (Caching removed for data accuracy)
   try {
     // Ensure Prisma is initialized
@@ -208,31 +219,14 @@ async function getL1TotalBookings(fromDate, toDate) {
     logger.query(`Getting total bookings from ${fromDate} to ${toDate}`);
     
     // Convert dates to Unix timestamps
-    const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-    const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bookingEvents = bookingEventsQuery({ fromTimestamp, toExclusiveTimestamp, filters: options.filters });
     
-    // OPTIMIZED: Use CROSS APPLY for better performance
+    // Booking events are already one row per confirmation number
     const result = await prisma.$queryRaw`
-      WITH filtered AS (
-          SELECT booking_transaction_confirmationno, booking_transaction_confirmationno_1
-          FROM preprocessed.pageviews_partitioned
-          WHERE time BETWEEN ${fromTimestamp} AND ${toTimestamp}
-            AND (
-                  (booking_transaction_confirmationno IS NOT NULL AND booking_transaction_confirmationno != '')
-               OR (booking_transaction_confirmationno_1 IS NOT NULL AND booking_transaction_confirmationno_1 != '')
-            )
-      ),
-      unified AS (
-          SELECT v.confirmation_no
-          FROM filtered
-          CROSS APPLY (VALUES
-              (booking_transaction_confirmationno),
-              (booking_transaction_confirmationno_1)
-          ) AS v(confirmation_no)
-          WHERE v.confirmation_no IS NOT NULL AND v.confirmation_no != ''
-      )
-      SELECT COUNT(DISTINCT confirmation_no) AS total_bookings
-      FROM unified
+      WITH booking_events AS (${bookingEvents})
+      SELECT COUNT(*) AS total_bookings
+      FROM booking_events
     `;
     
     const totalBookings = Number(result[0].total_bookings);
@@ -260,10 +254,10 @@ async function getL1TotalBookings(fromDate, toDate) {
 /**
  * METRIC 3: ROOM NIGHTS
  * Business Logic: Total hotel room nights booked in date range
- * Database Logic: SUM(TRY_CAST(nights AS FLOAT)) from both night columns
+ * Database Logic: SUM(room_nights) over booking events (nights recorded with each confirmed booking)
  * Performance: Date filtering + null handling + TRY_CAST for nvarchar to float
  */
-async function getL1RoomNights(fromDate, toDate) {
+async function getL1RoomNights(fromDate, toDate, options = {}) {
   // DIRECT DATABASE QUERY (Caching removed for data accuracy)
   try {
     // Ensure Prisma is initialized
@@ -272,22 +266,14 @@ async function getL1RoomNights(fromDate, toDate) {
     logger.query(`Getting room nights from ${fromDate} to ${toDate}`);
     
     // Convert dates to Unix timestamps
-    const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-    const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bookingEvents = bookingEventsQuery({ fromTimestamp, toExclusiveTimestamp, filters: options.filters });
     
-    // OPTIMIZED: Use BETWEEN clause for better performance
     const result = await prisma.$queryRaw`
-      SELECT
-        SUM(
-          ISNULL(TRY_CAST(booking_bookingwidget_totalnightstay AS FLOAT), 0) +
-          ISNULL(TRY_CAST(booking_bookingwidget_totalnightstay_1 AS FLOAT), 0)
-        ) as room_nights
-      FROM preprocessed.pageviews_partitioned
-      WHERE time BETWEEN ${fromTimestamp} AND ${toTimestamp}
-        AND (
-          booking_bookingwidget_totalnightstay IS NOT NULL OR
-          booking_bookingwidget_totalnightstay_1 IS NOT NULL
-        )
+      WITH booking_events AS (${bookingEvents})
+      SELECT SUM(room_nights) AS room_nights
+      FROM booking_events
+      WHERE room_nights > 0
     `;
     
     const roomNights = Number(result[0].room_nights) || 0;
@@ -313,12 +299,13 @@ async function getL1RoomNights(fromDate, toDate) {
 }
 
 /**
- * METRIC 4: TOTAL REVENUE (USD)
+ * METRIC 4: TOTAL REVENUE (USD, or options.currency)
  * Business Logic: Total booking revenue converted to USD with multi-currency support
- * Database Logic: SUM(payment * exchange_rate) with currency conversion
+ * Database Logic: SUM(payment * exchange_rate) over booking events with currency conversion,
+ *   divided by the reporting currency's rate (sql/currency.js)
  * Complexity: HIGH - Multi-currency with exchange rate lookup from pythia_db.currencies
  */
-async function getL1TotalRevenue(fromDate, toDate) {
+async function getL1TotalRevenue(fromDate, toDate, options = {}) {
   // DIRECT DATABASE QUERY (Caching removed for data accuracy)
   try {
     // Ensure Prisma is initialized
@@ -327,45 +314,30 @@ async function getL1TotalRevenue(fromDate, toDate) {
     logger.query(`Getting total revenue from ${fromDate} to ${toDate}`);
     
     // Convert dates to Unix timestamps
-    const fromTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
-    const toTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bookingEvents = bookingEventsQuery({ fromTimestamp, toExclusiveTimestamp, filters: options.filters });
+    const currency = options.currency || DEFAULT_CURRENCY;
     
-    // OPTIMIZED: Use CROSS APPLY for better performance
     const result = await prisma.$queryRaw`
-      WITH payment_data AS (
-          SELECT
-              TRY_CAST(v.payment AS FLOAT) AS payment_amount,
-              v.currency_code
-          FROM preprocessed.pageviews_partitioned p
-          CROSS APPLY (VALUES
-              (p.booking_transaction_totalpayment, p.booking_transaction_currencytype),
-              (p.booking_transaction_totalpayment_1, p.booking_transaction_currencytype_1)
-          ) AS v(payment, currency_code)
-          WHERE time BETWEEN ${fromTimestamp} AND ${toTimestamp}
-            AND v.payment IS NOT NULL
-            AND v.payment != ''
-            AND TRY_CAST(v.payment AS FLOAT) > 0
-      )
+      WITH booking_events AS (${bookingEvents})
       SELECT
           SUM(
-              payment_data.payment_amount *
-              CASE
-                  WHEN UPPER(payment_data.currency_code) = 'USD' THEN 1.0
-                  ELSE COALESCE(c.exchange_rate_to_usd, 1.0)
-              END
-          ) AS total_revenue_usd
-      FROM payment_data
+              booking_events.payment_amount *
+              ${usdRateExpression('booking_events.currency_code')}
+          ) / ${targetRateExpression(currency)} AS total_revenue
+      FROM booking_events
       LEFT JOIN pythia_db.currencies c
-          ON UPPER(c.code) = UPPER(payment_data.currency_code)
-      WHERE payment_data.payment_amount IS NOT NULL
+          ON UPPER(c.code) = UPPER(booking_events.currency_code)
+      WHERE booking_events.payment_amount > 0
     `;
     
-    const totalRevenue = Number(result[0].total_revenue_usd) || 0;
+    const totalRevenue = Number(result[0].total_revenue) || 0;
     
-    logger.success(`Found $${totalRevenue.toLocaleString()} total revenue (USD)`);
+    logger.success(`Found ${totalRevenue.toLocaleString()} total revenue (${currency})`);
     
     return {
       total_revenue: totalRevenue,
+      currency,
       success: true,
       query_time: new Date().toISOString(),
       cached: false
@@ -384,18 +356,18 @@ async function getL1TotalRevenue(fromDate, toDate) {
 
 /**
  * METRIC 5: AVERAGE BOOKING VALUE (ABV)
- * Business Logic: Revenue per booking (Total Revenue ÷ Total Bookings)
+ * Business Logic: Revenue per booking (Total Revenue ÷ Total Bookings), in USD or options.currency
  * Database Logic: Efficient approach using results from other functions
  * Performance: Uses results from getL1TotalRevenue and getL1TotalBookings
  */
-async function getL1ABV(fromDate, toDate) {
+async function getL1ABV(fromDate, toDate, options = {}) {
   try {
     logger.query(`Getting ABV from ${fromDate} to ${toDate}`);
     
     // Get revenue and bookings in parallel for efficiency
     const [revenueResult, bookingsResult] = await Promise.all([
-      getL1TotalRevenue(fromDate, toDate),
-      getL1TotalBookings(fromDate, toDate)
+      getL1TotalRevenue(fromDate, toDate, options),
+      getL1TotalBookings(fromDate, toDate, options)
     ]);
     
     if (!revenueResult.success || !bookingsResult.success) {
@@ -408,10 +380,11 @@ async function getL1ABV(fromDate, toDate) {
     // Calculate ABV with zero division protection
     const abv = totalBookings > 0 ? totalRevenue / totalBookings : 0;
     
-    logger.success(`Calculated ABV: $${abv.toFixed(2)} (Revenue: $${totalRevenue.toLocaleString()}, Bookings: ${totalBookings})`);
+    logger.success(`Calculated ABV: ${abv.toFixed(2)} ${revenueResult.currency} (Revenue: ${totalRevenue.toLocaleString()}, Bookings: ${totalBookings})`);
     
     return {
       abv: Math.round(abv * 100) / 100, // Round to 2 decimal places
+      currency: revenueResult.currency,
       success: true,
       query_time: new Date().toISOString(),
       calculation_details: {
@@ -430,17 +403,454 @@ async function getL1ABV(fromDate, toDate) {
   }
 }
 
+/**
+ * METRIC 6: AVERAGE TIME ON SITE
+ * Business Logic: Average seconds spent per visit in date range
+ * Database Logic: SUM([Total Seconds Spent]) ÷ SUM(Visits) from dbo.average_time_spent_per_visit
+ * Performance: Small daily aggregate table with an index on Date
+ * Note: The table is site-wide (no HotelID), so property filters do not apply
+ */
+async function getL1AvgTimeOnSite(fromDate, toDate) {
+  try {
+    // Ensure Prisma is initialized
+    await prismaPromise;
+    
+    logger.query(`Getting average time on site from ${fromDate} to ${toDate}`);
+    
+    const result = await prisma.$queryRaw`
+      SELECT
+          SUM(CAST([Total Seconds Spent] AS BIGINT)) AS total_seconds,
+          SUM(CAST(Visits AS BIGINT)) AS visits
+      FROM dbo.average_time_spent_per_visit
+      WHERE [Date] BETWEEN ${fromDate} AND ${toDate}
+    `;
+    
+    const totalSeconds = Number(result[0].total_seconds) || 0;
+    const visits = Number(result[0].visits) || 0;
+    const avgTimeOnSite = visits > 0 ? Math.round((totalSeconds / visits) * 10) / 10 : 0;
+    
+    logger.success(`Found ${avgTimeOnSite}s average time on site over ${visits} visits`);
+    
+    return {
+      avg_time_on_site: avgTimeOnSite,
+      calculation_details: {
+        total_seconds: totalSeconds,
+        visits
+      },
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+        
+  } catch (error) {
+    logger.error('Error in getL1AvgTimeOnSite:', error);
+    return {
+      avg_time_on_site: 0,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * ROOM REVENUE (ADR numerator)
+ * Business Logic: Room revenue only - booking_transaction_roompayment, excluding add-ons and
+ *   taxes (the room_net component of l1RevenueCompositionService.js)
+ * Database Logic: SUM(roompayment * exchange_rate) over booking events, converted like Total Revenue
+ */
+async function getL1RoomRevenue(fromDate, toDate, options = {}) {
+  try {
+    // Ensure Prisma is initialized
+    await prismaPromise;
+    
+    logger.query(`Getting room revenue from ${fromDate} to ${toDate}`);
+    
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      columns: [ROOM_PAYMENT_COLUMN]
+    });
+    const currency = options.currency || DEFAULT_CURRENCY;
+    
+    const result = await prisma.$queryRaw`
+      WITH booking_events AS (${bookingEvents}),
+      room_payments AS (
+          SELECT ${ROOM_PAYMENT} AS room_payment, currency_code
+          FROM booking_events
+      )
+      SELECT
+          SUM(
+              room_payments.room_payment *
+              ${usdRateExpression('room_payments.currency_code')}
+          ) / ${targetRateExpression(currency)} AS room_revenue
+      FROM room_payments
+      LEFT JOIN pythia_db.currencies c
+          ON UPPER(c.code) = UPPER(room_payments.currency_code)
+      WHERE room_payments.room_payment > 0
+    `;
+    
+    return {
+      room_revenue: Number(result[0].room_revenue) || 0,
+      currency,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+    
+  } catch (error) {
+    logger.error('Error in getL1RoomRevenue:', error);
+    return {
+      room_revenue: 0,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * METRIC 7: AVERAGE DAILY RATE (ADR)
+ * Business Logic: Room revenue per room night (Room Revenue ÷ Room Nights)
+ * Database Logic: Derived from getL1RoomRevenue and getL1RoomNights
+ * Note: room revenue excludes add-ons and taxes; in USD, or options.currency
+ */
+async function getL1ADR(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting ADR from ${fromDate} to ${toDate}`);
+    
+    const [roomRevenueResult, roomNightsResult] = await Promise.all([
+      getL1RoomRevenue(fromDate, toDate, options),
+      getL1RoomNights(fromDate, toDate, options)
+    ]);
+    
+    if (!roomRevenueResult.success || !roomNightsResult.success) {
+      throw new Error('Failed to get room revenue or room nights data for ADR calculation');
+    }
+    
+    const roomRevenue = roomRevenueResult.room_revenue;
+    const roomNights = roomNightsResult.room_nights;
+    
+    // Calculate ADR with zero division protection
+    const adr = roomNights > 0 ? roomRevenue / roomNights : 0;
+    
+    logger.success(`Calculated ADR: ${adr.toFixed(2)} ${roomRevenueResult.currency} (Room revenue: ${roomRevenue.toLocaleString()}, Room nights: ${roomNights})`);
+    
+    return {
+      adr: Math.round(adr * 100) / 100, // Round to 2 decimal places
+      currency: roomRevenueResult.currency,
+      success: true,
+      query_time: new Date().toISOString(),
+      calculation_details: {
+        room_revenue: roomRevenue,
+        room_nights: roomNights
+      }
+    };
+    
+  } catch (error) {
+    logger.error('Error in getL1ADR:', error);
+    return {
+      adr: 0,
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * METRIC 8: AVERAGE LENGTH OF STAY (ALOS)
+ * Business Logic: Room nights per booking (Room Nights ÷ Total Bookings)
+ * Database Logic: Derived from getL1RoomNights and getL1TotalBookings
+ */
+async function getL1ALOS(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting ALOS from ${fromDate} to ${toDate}`);
+    
+    const [roomNightsResult, bookingsResult] = await Promise.all([
+      getL1RoomNights(fromDate, toDate, options),
+      getL1TotalBookings(fromDate, toDate, options)
+    ]);
+    
+    if (!roomNightsResult.success || !bookingsResult.success) {
+      throw new Error('Failed to get room nights or bookings data for ALOS calculation');
+    }
+    
+    const roomNights = roomNightsResult.room_nights;
+    const totalBookings = bookingsResult.total_bookings;
+    
+    // Calculate ALOS with zero division protection
+    const alos = totalBookings > 0 ? roomNights / totalBookings : 0;
+    
+    logger.success(`Calculated ALOS: ${alos.toFixed(2)} nights (Room nights: ${roomNights}, Bookings: ${totalBookings})`);
+    
+    return {
+      alos: Math.round(alos * 100) / 100, // Round to 2 decimal places
+      success: true,
+      query_time: new Date().toISOString(),
+      calculation_details: {
+        room_nights: roomNights,
+        total_bookings: totalBookings
+      }
+    };
+    
+  } catch (error) {
+    logger.error('Error in getL1ALOS:', error);
+    return {
+      alos: 0,
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * SUMMARY CARD HELPERS
+ * Format a period-over-period change as a signed percentage string ("+8.5%")
+ * Returns null when there is no baseline to compare against
+ */
+function formatChange(current, previous) {
+  if (!previous || previous <= 0) return null;
+  
+  const change = ((current - previous) / previous) * 100;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+/**
+ * Run a metric function over the current, previous-month and previous-year windows
+ */
+async function getMetricForComparisonPeriods(metricFunction, fromDate, toDate, options) {
+  const periods = getComparisonPeriods(fromDate, toDate);
+  
+  const [current, previousMonth, previousYear] = await Promise.all([
+    metricFunction(periods.current.from, periods.current.to, options),
+    metricFunction(periods.previous_month.from, periods.previous_month.to, options),
+    metricFunction(periods.previous_year.from, periods.previous_year.to, options)
+  ]);
+  
+  const failed = [current, previousMonth, previousYear].find(result => !result.success);
+  if (failed) {
+    throw new Error(failed.error);
+  }
+  
+  return { current, previousMonth, previousYear, periods };
+}
+
+/**
+ * SUMMARY CARD 1: TRAFFIC SUMMARY
+ * Business Logic: Unique visitors with month-over-month and year-over-year change
+ * Database Logic: getL1UniqueVisitors over the current and shifted comparison windows
+ */
+async function getL1TrafficSummary(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting traffic summary from ${fromDate} to ${toDate}`);
+    
+    const { current, previousMonth, previousYear, periods } = await getMetricForComparisonPeriods(
+      getL1UniqueVisitors, fromDate, toDate, options
+    );
+    
+    const value = current.unique_visitors;
+    const changeMom = formatChange(value, previousMonth.unique_visitors);
+    const changeYoy = formatChange(value, previousYear.unique_visitors);
+    
+    return {
+      value,
+      change_mom: changeMom,
+      change_yoy: changeYoy,
+      previous_month_value: previousMonth.unique_visitors,
+      previous_year_value: previousYear.unique_visitors,
+      description: changeMom
+        ? `Unique visitors ${changeMom} vs the same period last month`
+        : 'No prior-month traffic to compare against',
+      comparison_periods: periods,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+    
+  } catch (error) {
+    logger.error('Error in getL1TrafficSummary:', error);
+    return {
+      value: 0,
+      change_mom: null,
+      change_yoy: null,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * SUMMARY CARD 2: CONVERSION SUMMARY
+ * Business Logic: Total bookings with MoM/YoY change and average stay length
+ * Database Logic: getL1TotalBookings over comparison windows, avg_stay_nights = room_nights / total_bookings
+ */
+async function getL1ConversionSummary(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting conversion summary from ${fromDate} to ${toDate}`);
+    
+    const [{ current, previousMonth, previousYear, periods }, roomNightsResult] = await Promise.all([
+      getMetricForComparisonPeriods(getL1TotalBookings, fromDate, toDate, options),
+      getL1RoomNights(fromDate, toDate, options)
+    ]);
+    
+    if (!roomNightsResult.success) {
+      throw new Error(roomNightsResult.error);
+    }
+    
+    const value = current.total_bookings;
+    const avgStayNights = value > 0 ? Math.round((roomNightsResult.room_nights / value) * 10) / 10 : 0;
+    
+    return {
+      value,
+      change_mom: formatChange(value, previousMonth.total_bookings),
+      change_yoy: formatChange(value, previousYear.total_bookings),
+      previous_month_value: previousMonth.total_bookings,
+      previous_year_value: previousYear.total_bookings,
+      avg_stay_nights: avgStayNights,
+      description: `Average stay of ${avgStayNights} nights per booking`,
+      comparison_periods: periods,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+    
+  } catch (error) {
+    logger.error('Error in getL1ConversionSummary:', error);
+    return {
+      value: 0,
+      change_mom: null,
+      change_yoy: null,
+      avg_stay_nights: 0,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * SUMMARY CARD 3: REVENUE SUMMARY
+ * Business Logic: Total revenue (USD, or options.currency) with MoM/YoY change and average booking value
+ * Database Logic: getL1TotalRevenue over comparison windows, abv = total_revenue / total_bookings
+ */
+async function getL1RevenueSummary(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting revenue summary from ${fromDate} to ${toDate}`);
+    
+    const [{ current, previousMonth, previousYear, periods }, bookingsResult] = await Promise.all([
+      getMetricForComparisonPeriods(getL1TotalRevenue, fromDate, toDate, options),
+      getL1TotalBookings(fromDate, toDate, options)
+    ]);
+    
+    if (!bookingsResult.success) {
+      throw new Error(bookingsResult.error);
+    }
+    
+    const totalRevenue = current.total_revenue;
+    const totalBookings = bookingsResult.total_bookings;
+    const abv = totalBookings > 0 ? Math.round((totalRevenue / totalBookings) * 100) / 100 : 0;
+    
+    return {
+      total_revenue: totalRevenue,
+      change_mom: formatChange(totalRevenue, previousMonth.total_revenue),
+      change_yoy: formatChange(totalRevenue, previousYear.total_revenue),
+      previous_month_value: previousMonth.total_revenue,
+      previous_year_value: previousYear.total_revenue,
+      abv,
+      currency: current.currency,
+      description: `Average booking value of ${abv.toLocaleString()} ${current.currency}`,
+      comparison_periods: periods,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+    
+  } catch (error) {
+    logger.error('Error in getL1RevenueSummary:', error);
+    return {
+      total_revenue: 0,
+      change_mom: null,
+      change_yoy: null,
+      abv: 0,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * SUMMARY CARD 4: STAY SUMMARY
+ * Business Logic: ADR and average length of stay, each with MoM/YoY change
+ * Database Logic: getL1ADR and getL1ALOS over the comparison windows
+ */
+async function getL1StaySummary(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting stay summary from ${fromDate} to ${toDate}`);
+    
+    const [adrResults, alosResults] = await Promise.all([
+      getMetricForComparisonPeriods(getL1ADR, fromDate, toDate, options),
+      getMetricForComparisonPeriods(getL1ALOS, fromDate, toDate, options)
+    ]);
+    
+    const adr = adrResults.current.adr;
+    const alos = alosResults.current.alos;
+    
+    return {
+      adr,
+      change_mom: formatChange(adr, adrResults.previousMonth.adr),
+      change_yoy: formatChange(adr, adrResults.previousYear.adr),
+      previous_month_value: adrResults.previousMonth.adr,
+      previous_year_value: adrResults.previousYear.adr,
+      alos,
+      alos_change_mom: formatChange(alos, alosResults.previousMonth.alos),
+      alos_change_yoy: formatChange(alos, alosResults.previousYear.alos),
+      alos_previous_month_value: alosResults.previousMonth.alos,
+      alos_previous_year_value: alosResults.previousYear.alos,
+      currency: adrResults.current.currency,
+      description: `Average daily rate of ${adr.toLocaleString()} ${adrResults.current.currency} over ${alos} nights per booking`,
+      comparison_periods: adrResults.periods,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+    
+  } catch (error) {
+    logger.error('Error in getL1StaySummary:', error);
+    return {
+      adr: 0,
+      change_mom: null,
+      change_yoy: null,
+      alos: 0,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
 // Clean up database connections
 async function cleanup() {
   await prisma.$disconnect();
 }
 
 module.exports = {
-  getL1UniqueVisitors,
-  getL1TotalBookings,
-  getL1RoomNights,
-  getL1TotalRevenue,
-  getL1ABV,
+  // Metric and summary card functions are served through the result cache
+  getL1UniqueVisitors: withCache('getL1UniqueVisitors', 'key_metrics', getL1UniqueVisitors),
+  getL1TotalBookings: withCache('getL1TotalBookings', 'key_metrics', getL1TotalBookings),
+  getL1RoomNights: withCache('getL1RoomNights', 'key_metrics', getL1RoomNights),
+  getL1TotalRevenue: withCache('getL1TotalRevenue', 'key_metrics', getL1TotalRevenue),
+  getL1ABV: withCache('getL1ABV', 'key_metrics', getL1ABV),
+  getL1AvgTimeOnSite: withCache('getL1AvgTimeOnSite', 'key_metrics', getL1AvgTimeOnSite),
+  getL1ADR: withCache('getL1ADR', 'key_metrics', getL1ADR),
+  getL1ALOS: withCache('getL1ALOS', 'key_metrics', getL1ALOS),
+  getL1TrafficSummary: withCache('getL1TrafficSummary', 'summary_cards', getL1TrafficSummary),
+  getL1ConversionSummary: withCache('getL1ConversionSummary', 'summary_cards', getL1ConversionSummary),
+  getL1RevenueSummary: withCache('getL1RevenueSummary', 'summary_cards', getL1RevenueSummary),
+  getL1StaySummary: withCache('getL1StaySummary', 'summary_cards', getL1StaySummary),
   cleanup,
   checkConnectionHealth,
   testDatabaseConnection,
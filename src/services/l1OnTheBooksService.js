@@ -0,0 +1,165 @@
+/**
+ * L1 ON-THE-BOOKS SERVICE
+ *
+ * Forward-looking demand: confirmed bookings made in a window of booking dates (from / to),
+ * expanded into one row per night of the stay, then counted per stay date.
+ *   calendar - rooms occupied, bookings in house and arrivals per stay date (the on-the-books curve)
+ *   pickup   - those room nights picked up per booking date, with the running total
+ *
+ * A stay runs from the arrival date for DATEDIFF(arrival, checkout) nights, falling back to
+ * totalnightstay when the checkout date is missing; each night counts the booking's rooms
+ * (noofrooms, default 1). Dates are read from both booking column sets (sql/bookingEvents.js).
+ * The counts are therefore named room_nights_x_rooms: a 3-night stay in 2 rooms is 6, where
+ * the room nights KPI (getL1RoomNights) counts totalnightstay alone and reports 3.
+ *
+ * Options: { filters, stayFrom, stayTo } - filters as in sql/filters.js (the route requires a
+ * hotel or destination), stay window defaults as in sql/dateBuckets.js (resolveStayWindow).
+ */
+
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { bookingEventsQuery } = require('./sql/bookingEvents');
+const { EVENT_DATE, fillSeries, resolveStayWindow, getTimestampRange } = require('./sql/dateBuckets');
+
+// Longest stay expanded into nights (size of the night offset tally below)
+const MAX_STAY_NIGHTS = 365;
+
+const STAY_COLUMNS = [
+  'booking_bookingwidget_arrivaldate',
+  'booking_bookingwidget_arrivaldate_1',
+  'booking_bookingwidget_checkoutdate',
+  'booking_bookingwidget_checkoutdate_1',
+  'booking_bookingwidget_noofrooms'
+];
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+/**
+ * ON THE BOOKS
+ * Stay-date calendar and booking-date pickup for bookings made between fromDate and toDate
+ */
+async function getL1OnTheBooks(fromDate, toDate, options = {}) {
+  const { stayFrom, stayTo } = resolveStayWindow(fromDate, options.stayFrom, options.stayTo);
+
+  try {
+    logger.query(`Getting on-the-books for stays ${stayFrom} to ${stayTo} booked ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      columns: STAY_COLUMNS
+    });
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH booking_events AS (${bookingEvents}),
+      stays AS (
+        SELECT
+          ${EVENT_DATE} AS booking_date,
+          TRY_CAST(COALESCE(NULLIF(booking_bookingwidget_arrivaldate, ''), booking_bookingwidget_arrivaldate_1) AS DATE) AS arrival_date,
+          TRY_CAST(COALESCE(NULLIF(booking_bookingwidget_checkoutdate, ''), booking_bookingwidget_checkoutdate_1) AS DATE) AS checkout_date,
+          room_nights,
+          COALESCE(NULLIF(TRY_CAST(booking_bookingwidget_noofrooms AS INT), 0), 1) AS rooms
+        FROM booking_events
+      ),
+      stay_lengths AS (
+        SELECT
+          booking_date,
+          arrival_date,
+          rooms,
+          COALESCE(
+            CASE WHEN checkout_date > arrival_date THEN DATEDIFF(DAY, arrival_date, checkout_date) END,
+            CAST(room_nights AS INT)
+          ) AS stay_nights
+        FROM stays
+        WHERE arrival_date IS NOT NULL
+      ),
+      night_offsets AS (
+        SELECT ones.n + tens.n * 10 + hundreds.n * 100 AS night
+        FROM (VALUES (0), (1), (2), (3), (4), (5), (6), (7), (8), (9)) AS ones(n)
+        CROSS JOIN (VALUES (0), (1), (2), (3), (4), (5), (6), (7), (8), (9)) AS tens(n)
+        CROSS JOIN (VALUES (0), (1), (2), (3), (4), (5), (6), (7), (8), (9)) AS hundreds(n)
+        WHERE ones.n + tens.n * 10 + hundreds.n * 100 < ${MAX_STAY_NIGHTS}
+      ),
+      stay_nights AS (
+        SELECT
+          stay_lengths.booking_date,
+          DATEADD(DAY, night_offsets.night, stay_lengths.arrival_date) AS stay_date,
+          stay_lengths.rooms,
+          CASE WHEN night_offsets.night = 0 THEN 1 ELSE 0 END AS is_arrival
+        FROM stay_lengths
+        JOIN night_offsets
+          ON night_offsets.night < stay_lengths.stay_nights
+      )
+      SELECT
+        stay_date,
+        booking_date,
+        SUM(rooms) AS room_nights_x_rooms,
+        COUNT(*) AS bookings,
+        SUM(is_arrival) AS arrivals
+      FROM stay_nights
+      WHERE stay_date BETWEEN ${stayFrom} AND ${stayTo}
+      GROUP BY stay_date, booking_date
+    `;
+
+    // Rows are per stay date and booking date; fold them into the two curves
+    const toDay = date => new Date(date).toISOString().split('T')[0];
+    const byStayDate = new Map();
+    const byBookingDate = new Map();
+    result.forEach(row => {
+      const stay = byStayDate.get(toDay(row.stay_date)) || { period_start: row.stay_date, room_nights_x_rooms: 0, bookings: 0, arrivals: 0 };
+      stay.room_nights_x_rooms += Number(row.room_nights_x_rooms) || 0;
+      stay.bookings += Number(row.bookings) || 0;
+      stay.arrivals += Number(row.arrivals) || 0;
+      byStayDate.set(toDay(row.stay_date), stay);
+
+      const booked = byBookingDate.get(toDay(row.booking_date)) || { period_start: row.booking_date, room_nights_x_rooms: 0 };
+      booked.room_nights_x_rooms += Number(row.room_nights_x_rooms) || 0;
+      byBookingDate.set(toDay(row.booking_date), booked);
+    });
+
+    const calendar = fillSeries([...byStayDate.values()], stayFrom, stayTo, 'day', ['room_nights_x_rooms', 'bookings', 'arrivals'])
+      .map(point => ({ stay_date: point.period, room_nights_x_rooms: point.room_nights_x_rooms, bookings: point.bookings, arrivals: point.arrivals }));
+
+    let onTheBooks = 0;
+    const pickup = fillSeries([...byBookingDate.values()], fromDate, toDate, 'day', ['room_nights_x_rooms'])
+      .map(point => {
+        onTheBooks += point.room_nights_x_rooms;
+        return { booking_date: point.period, room_nights_x_rooms_picked_up: point.room_nights_x_rooms, on_the_books: onTheBooks };
+      });
+
+    logger.success(`Found ${onTheBooks} room nights x rooms on the books for ${stayFrom} to ${stayTo}`);
+
+    return {
+      calendar,
+      pickup,
+      total_room_nights_x_rooms: onTheBooks,
+      stay_window: { from: stayFrom, to: stayTo },
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1OnTheBooks:', error);
+    return {
+      calendar: [],
+      pickup: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  getL1OnTheBooks: withCache('getL1OnTheBooks', 'trends', getL1OnTheBooks)
+};
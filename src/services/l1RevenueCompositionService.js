@@ -0,0 +1,147 @@
+/**
+ * L1 REVENUE COMPOSITION SERVICE
+ *
+ * Splits booking revenue into its components, read from the confirmation row of each
+ * booking event (sql/bookingEvents.js):
+ *   room_net  - booking_transaction_roompayment
+ *   room_tax  - booking_transaction_roomtax
+ *   addon_net - booking_transaction_addonspayment
+ *   addon_tax - booking_transaction_addonstax
+ *
+ * net = room_net + addon_net, tax = room_tax + addon_tax, gross = net + tax.
+ * total_revenue is the totalpayment sum of getL1TotalRevenue, kept alongside so the split
+ * can be reconciled against it (unallocated = total_revenue - gross).
+ * All amounts are converted like getL1TotalRevenue (USD, or options.currency).
+ *
+ * Options: { filters, granularity, currency } - series buckets default to month.
+ */
+
+const { Prisma } = require('../generated/prisma');
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { bookingEventsQuery, ROOM_PAYMENT_COLUMN } = require('./sql/bookingEvents');
+const { getBucketExpression, fillSeries, getTimestampRange } = require('./sql/dateBuckets');
+const { DEFAULT_CURRENCY, usdRateExpression, targetRateExpression } = require('./sql/currency');
+
+// Revenue components and their (single-set) booking columns
+const REVENUE_COMPONENTS = {
+  room_net: ROOM_PAYMENT_COLUMN,
+  room_tax: 'booking_transaction_roomtax',
+  addon_net: 'booking_transaction_addonspayment',
+  addon_tax: 'booking_transaction_addonstax'
+};
+
+const COMPONENT_NAMES = Object.keys(REVENUE_COMPONENTS);
+const AMOUNT_FIELDS = [...COMPONENT_NAMES, 'total_revenue'];
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Component, net / tax / gross and share figures for one set of summed amounts
+ */
+function composeRevenue(amounts) {
+  const net = amounts.room_net + amounts.addon_net;
+  const tax = amounts.room_tax + amounts.addon_tax;
+  const gross = net + tax;
+  const share = value => (gross > 0 ? Math.round((value / gross) * 1000) / 10 : 0);
+
+  return {
+    ...Object.fromEntries(COMPONENT_NAMES.map(name => [name, roundAmount(amounts[name])])),
+    net_revenue: roundAmount(net),
+    tax: roundAmount(tax),
+    gross_revenue: roundAmount(gross),
+    total_revenue: roundAmount(amounts.total_revenue),
+    unallocated: roundAmount(amounts.total_revenue - gross),
+    shares: Object.fromEntries(COMPONENT_NAMES.map(name => [name, share(amounts[name])]))
+  };
+}
+
+/**
+ * REVENUE COMPOSITION
+ * Room / add-on net and tax revenue for the range and per bucket
+ */
+async function getL1RevenueComposition(fromDate, toDate, options = {}) {
+  try {
+    logger.query(`Getting revenue composition from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const granularity = options.granularity || 'month';
+    const bucket = getBucketExpression(granularity);
+    const currency = options.currency || DEFAULT_CURRENCY;
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      columns: Object.values(REVENUE_COMPONENTS)
+    });
+
+    const usdRate = usdRateExpression('booking_events.currency_code');
+    const targetRate = targetRateExpression(currency);
+    const componentSums = Prisma.join(
+      COMPONENT_NAMES.map(name => {
+        const amount = Prisma.raw(`TRY_CAST(booking_events.${REVENUE_COMPONENTS[name]} AS FLOAT)`);
+        return Prisma.sql`SUM(CASE WHEN ${amount} > 0 THEN ${amount} * ${usdRate} END) / ${targetRate} AS ${Prisma.raw(name)}`;
+      }),
+      ',\n        '
+    );
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH booking_events AS (${bookingEvents})
+      SELECT
+        ${bucket} AS period_start,
+        ${componentSums},
+        SUM(CASE WHEN booking_events.payment_amount > 0
+                 THEN booking_events.payment_amount * ${usdRate} END) / ${targetRate} AS total_revenue
+      FROM booking_events
+      LEFT JOIN pythia_db.currencies c
+        ON UPPER(c.code) = UPPER(booking_events.currency_code)
+      GROUP BY ${bucket}
+      ORDER BY period_start
+    `;
+
+    const series = fillSeries(result, fromDate, toDate, granularity, AMOUNT_FIELDS)
+      .map(point => ({ period: point.period, ...composeRevenue(point) }));
+
+    const totals = Object.fromEntries(AMOUNT_FIELDS.map(field => [
+      field,
+      result.reduce((sum, row) => sum + (Number(row[field]) || 0), 0)
+    ]));
+    const summary = composeRevenue(totals);
+
+    logger.success(`Found ${summary.gross_revenue.toLocaleString()} gross revenue (${currency})`);
+
+    return {
+      summary,
+      data: series,
+      granularity,
+      currency,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1RevenueComposition:', error);
+    return {
+      data: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  getL1RevenueComposition: withCache('getL1RevenueComposition', 'trends', getL1RevenueComposition)
+};
@@ -0,0 +1,187 @@
+/**
+ * L1 SEARCH DEMAND SERVICE
+ *
+ * Which stay dates people search for: booking-widget searches made between from / to,
+ * counted per requested arrival date and per length of stay, with the bookings made in
+ * the same window for those dates and the search-to-booking conversion.
+ *
+ * A search is a pageview with an arrival date in either booking column set (the funnel's
+ * "Room Search" stage, HAS_SEARCH in sql/bookingEvents.js). Repeated pageviews of the same
+ * search collapse: searches counts distinct (visitor, arrival date, length of stay).
+ * Length of stay is checkout - arrival, falling back to totalnightstay.
+ *
+ * Options: { filters, stayFrom, stayTo } - filters as in sql/filters.js; arrival dates are
+ * limited to the stay window (sql/dateBuckets.js resolveStayWindow).
+ */
+
+const { Prisma } = require('../generated/prisma');
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { buildPageviewFilters } = require('./sql/filters');
+const { bookingEventsQuery } = require('./sql/bookingEvents');
+const { fillSeries, resolveStayWindow, getTimestampRange } = require('./sql/dateBuckets');
+
+// Lengths of stay beyond this are treated as bad data
+const MAX_LENGTH_OF_STAY = 60;
+
+const STAY_COLUMNS = [
+  'booking_bookingwidget_arrivaldate',
+  'booking_bookingwidget_arrivaldate_1',
+  'booking_bookingwidget_checkoutdate',
+  'booking_bookingwidget_checkoutdate_1'
+];
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+/**
+ * Length of stay from raw arrival / checkout / nights values
+ */
+function lengthOfStay(arrival, checkout, nights) {
+  return Prisma.sql`COALESCE(
+    CASE WHEN TRY_CAST(${checkout} AS DATE) > TRY_CAST(${arrival} AS DATE)
+         THEN DATEDIFF(DAY, TRY_CAST(${arrival} AS DATE), TRY_CAST(${checkout} AS DATE)) END,
+    TRY_CAST(${nights} AS INT))`;
+}
+
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+/**
+ * SEARCH DEMAND
+ * Searches, searchers and bookings per requested arrival date and per length of stay
+ */
+async function getL1SearchDemand(fromDate, toDate, options = {}) {
+  const { stayFrom, stayTo } = resolveStayWindow(fromDate, options.stayFrom, options.stayTo);
+
+  try {
+    logger.query(`Getting search demand for arrivals ${stayFrom} to ${stayTo} searched ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      columns: STAY_COLUMNS
+    });
+
+    // Distinct searches and the bookings for the same dates, read once and grouped both ways
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH searches AS (
+        SELECT DISTINCT
+          p.td_client_id,
+          TRY_CAST(s.arrival AS DATE) AS arrival_date,
+          ${lengthOfStay(Prisma.sql`s.arrival`, Prisma.sql`s.checkout`, Prisma.sql`s.nights`)} AS length_of_stay
+        FROM preprocessed.pageviews_partitioned p
+        CROSS APPLY (VALUES
+          (p.booking_bookingwidget_arrivaldate, p.booking_bookingwidget_checkoutdate, p.booking_bookingwidget_totalnightstay),
+          (p.booking_bookingwidget_arrivaldate_1, p.booking_bookingwidget_checkoutdate_1, p.booking_bookingwidget_totalnightstay_1)
+        ) AS s(arrival, checkout, nights)
+        WHERE p.time >= ${fromTimestamp}
+          AND p.time < ${toExclusiveTimestamp}
+          ${buildPageviewFilters(options.filters, 'p')}
+          AND p.td_client_id IS NOT NULL
+          AND p.td_client_id != ''
+          AND TRY_CAST(s.arrival AS DATE) BETWEEN ${stayFrom} AND ${stayTo}
+      ),
+      booking_events AS (${bookingEvents}),
+      bookings AS (
+        SELECT
+          TRY_CAST(stay.arrival AS DATE) AS arrival_date,
+          ${lengthOfStay(Prisma.sql`stay.arrival`, Prisma.sql`stay.checkout`, Prisma.sql`booking_events.room_nights`)} AS length_of_stay
+        FROM booking_events
+        CROSS APPLY (
+          SELECT
+            COALESCE(NULLIF(booking_bookingwidget_arrivaldate, ''), booking_bookingwidget_arrivaldate_1) AS arrival,
+            COALESCE(NULLIF(booking_bookingwidget_checkoutdate, ''), booking_bookingwidget_checkoutdate_1) AS checkout
+        ) AS stay
+        WHERE TRY_CAST(stay.arrival AS DATE) BETWEEN ${stayFrom} AND ${stayTo}
+      ),
+      demand AS (
+        SELECT td_client_id, arrival_date, length_of_stay, 1 AS is_search FROM searches
+        UNION ALL
+        SELECT NULL, arrival_date, length_of_stay, 0 FROM bookings
+      )
+      SELECT
+        CASE WHEN GROUPING(arrival_date) = 0 THEN 'arrival_date' ELSE 'length_of_stay' END AS breakdown,
+        arrival_date,
+        length_of_stay,
+        SUM(is_search) AS searches,
+        COUNT(DISTINCT td_client_id) AS searchers,
+        SUM(1 - is_search) AS bookings
+      FROM demand
+      GROUP BY GROUPING SETS ((arrival_date), (length_of_stay))
+      HAVING GROUPING(arrival_date) = 0
+        OR length_of_stay BETWEEN 1 AND ${MAX_LENGTH_OF_STAY}
+    `;
+
+    const arrivalRows = result
+      .filter(row => row.breakdown === 'arrival_date')
+      .map(row => ({ ...row, period_start: row.arrival_date }));
+    const lengthRows = result.filter(row => row.breakdown === 'length_of_stay');
+
+    const byArrivalDate = fillSeries(arrivalRows, stayFrom, stayTo, 'day', ['searches', 'searchers', 'bookings'])
+      .map(point => ({
+        arrival_date: point.period,
+        searches: point.searches,
+        searchers: point.searchers,
+        bookings: point.bookings,
+        conversion_rate: percentage(point.bookings, point.searches)
+      }));
+
+    const byLengthOfStay = lengthRows
+      .map(row => {
+        const searches = Number(row.searches) || 0;
+        const bookings = Number(row.bookings) || 0;
+
+        return {
+          length_of_stay: Number(row.length_of_stay),
+          searches,
+          searchers: Number(row.searchers) || 0,
+          bookings,
+          conversion_rate: percentage(bookings, searches)
+        };
+      })
+      .sort((a, b) => a.length_of_stay - b.length_of_stay);
+
+    const totalSearches = byArrivalDate.reduce((sum, point) => sum + point.searches, 0);
+    const totalBookings = byArrivalDate.reduce((sum, point) => sum + point.bookings, 0);
+
+    logger.success(`Found ${totalSearches} searches for ${stayFrom} to ${stayTo}`);
+
+    return {
+      by_arrival_date: byArrivalDate,
+      by_length_of_stay: byLengthOfStay,
+      totals: {
+        searches: totalSearches,
+        bookings: totalBookings,
+        conversion_rate: percentage(totalBookings, totalSearches)
+      },
+      stay_window: { from: stayFrom, to: stayTo },
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1SearchDemand:', error);
+    return {
+      by_arrival_date: [],
+      by_length_of_stay: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  getL1SearchDemand: withCache('getL1SearchDemand', 'trends', getL1SearchDemand)
+};
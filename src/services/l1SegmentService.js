@@ -0,0 +1,174 @@
+/**
+ * L1 SEGMENT SERVICE
+ *
+ * The 5 key metrics (unique visitors, bookings, room nights, revenue, ABV) broken down
+ * by a visitor segment, for /api/l1-summary-data?segment=...
+ *
+ * Segments:
+ *   member_tier - GHA DISCOVERY tier (sql/memberTiers.js), UNKNOWN for members without a
+ *                 captured tier and NON_MEMBER for everyone else
+ *
+ * Each visitor (td_client_id) belongs to one segment for the range - the latest tier they
+ * were seen with - and their bookings (sql/bookingEvents.js) are counted in that segment,
+ * so the segments add up to the unsegmented key metrics.
+ *
+ * Options: { segment, filters, currency } - filters as in sql/filters.js, revenue in USD
+ * or options.currency (sql/currency.js).
+ */
+
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { buildPageviewFilters } = require('./sql/filters');
+const { bookingEventsQuery } = require('./sql/bookingEvents');
+const { DEFAULT_CURRENCY, usdRateExpression, targetRateExpression } = require('./sql/currency');
+const { NON_MEMBER, MEMBER_SEGMENT, MEMBER_SEGMENT_RANK } = require('./sql/memberTiers');
+const { getTimestampRange } = require('./sql/dateBuckets');
+
+// Segment expression and ranking per supported segment= value
+const SEGMENTS = {
+  member_tier: {
+    expression: MEMBER_SEGMENT,
+    rank: MEMBER_SEGMENT_RANK,
+    fallback: NON_MEMBER
+  }
+};
+
+const SEGMENT_NAMES = Object.keys(SEGMENTS);
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+function isValidSegment(segment) {
+  return SEGMENT_NAMES.includes(segment);
+}
+
+/**
+ * KEY METRICS BY SEGMENT
+ * One row per segment value with the 5 key metrics and the booking conversion rate
+ */
+async function getL1KeyMetricsBySegment(fromDate, toDate, options = {}) {
+  const { segment } = options;
+
+  try {
+    const config = SEGMENTS[segment];
+    if (!config) {
+      throw new Error(`Unknown segment "${segment}". Use one of: ${SEGMENT_NAMES.join(', ')}`);
+    }
+
+    logger.query(`Getting key metrics by ${segment} from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bookingEvents = bookingEventsQuery({ fromTimestamp, toExclusiveTimestamp, filters: options.filters });
+    const currency = options.currency || DEFAULT_CURRENCY;
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH visitor_segments AS (
+        SELECT td_client_id, segment_value
+        FROM (
+          SELECT
+            td_client_id,
+            ${config.expression} AS segment_value,
+            ROW_NUMBER() OVER (
+              PARTITION BY td_client_id
+              ORDER BY ${config.rank}, time DESC
+            ) AS segment_rank
+          FROM preprocessed.pageviews_partitioned
+          WHERE time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+            ${buildPageviewFilters(options.filters)}
+            AND td_client_id IS NOT NULL
+            AND td_client_id != ''
+        ) ranked_visitors
+        WHERE segment_rank = 1
+      ),
+      booking_events AS (${bookingEvents}),
+      booking_segments AS (
+        SELECT
+          COALESCE(visitor_segments.segment_value, ${config.fallback}) AS segment_value,
+          booking_events.room_nights,
+          booking_events.payment_amount * ${usdRateExpression('booking_events.currency_code')} AS payment_usd
+        FROM booking_events
+        LEFT JOIN visitor_segments
+          ON visitor_segments.td_client_id = booking_events.td_client_id
+        LEFT JOIN pythia_db.currencies c
+          ON UPPER(c.code) = UPPER(booking_events.currency_code)
+      ),
+      segment_bookings AS (
+        SELECT
+          segment_value,
+          COUNT(*) AS total_bookings,
+          SUM(CASE WHEN room_nights > 0 THEN room_nights END) AS room_nights,
+          SUM(CASE WHEN payment_usd > 0 THEN payment_usd END) / ${targetRateExpression(currency)} AS total_revenue
+        FROM booking_segments
+        GROUP BY segment_value
+      ),
+      segment_visitors AS (
+        SELECT segment_value, COUNT(*) AS unique_visitors
+        FROM visitor_segments
+        GROUP BY segment_value
+      )
+      SELECT
+        COALESCE(segment_visitors.segment_value, segment_bookings.segment_value) AS segment_value,
+        segment_visitors.unique_visitors,
+        segment_bookings.total_bookings,
+        segment_bookings.room_nights,
+        segment_bookings.total_revenue
+      FROM segment_visitors
+      FULL OUTER JOIN segment_bookings
+        ON segment_bookings.segment_value = segment_visitors.segment_value
+    `;
+
+    const data = result
+      .map(row => {
+        const uniqueVisitors = Number(row.unique_visitors) || 0;
+        const totalBookings = Number(row.total_bookings) || 0;
+        const totalRevenue = Number(row.total_revenue) || 0;
+
+        return {
+          [segment]: row.segment_value,
+          unique_visitors: uniqueVisitors,
+          total_bookings: totalBookings,
+          room_nights: Number(row.room_nights) || 0,
+          total_revenue: totalRevenue,
+          abv: totalBookings > 0 ? Math.round((totalRevenue / totalBookings) * 100) / 100 : 0,
+          conversion_rate: uniqueVisitors > 0 ? Math.round((totalBookings / uniqueVisitors) * 10000) / 100 : 0
+        };
+      })
+      // Largest segments first, the fallback bucket (e.g. non-members) last
+      .sort((a, b) => (a[segment] === config.fallback) - (b[segment] === config.fallback)
+        || b.unique_visitors - a.unique_visitors
+        || String(a[segment]).localeCompare(String(b[segment])));
+
+    logger.success(`Found ${data.length} ${segment} segments`);
+
+    return {
+      segment,
+      data,
+      currency,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1KeyMetricsBySegment:', error);
+    return {
+      segment,
+      data: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  SEGMENT_NAMES,
+  isValidSegment,
+  getL1KeyMetricsBySegment: withCache('getL1KeyMetricsBySegment', 'key_metrics', getL1KeyMetricsBySegment)
+};
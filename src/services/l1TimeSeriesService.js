@@ -0,0 +1,477 @@
+/**
+ * L1 TIME SERIES SERVICE
+ *
+ * Per-bucket (day / week / month) versions of the key metrics, used for the
+ * sparklines and trend lines under each KPI tile.
+ *
+ * Each function mirrors the SQL of its total-only counterpart in l1MetricsService.js,
+ * grouped by the shared bucket expressions in sql/dateBuckets.js.
+ * Booking series bucket each booking event by the time of its kept row, so the
+ * buckets add up to the KPI totals.
+ * Options: { granularity, filters, currency } - filters as in sql/filters.js,
+ * currency (revenue, ABV and ADR only) as in sql/currency.js
+ */
+
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { AGGREGATE_DATE, getBucketExpression, fillSeries, getTimestampRange } = require('./sql/dateBuckets');
+const { buildPageviewFilters } = require('./sql/filters');
+const { bookingEventsQuery, ROOM_PAYMENT_COLUMN, ROOM_PAYMENT } = require('./sql/bookingEvents');
+const { DEFAULT_CURRENCY, usdRateExpression, targetRateExpression } = require('./sql/currency');
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+/**
+ * SERIES 1: UNIQUE VISITORS
+ * COUNT(DISTINCT td_client_id) per bucket
+ * Note: buckets are not additive - a visitor seen in two weeks counts in both
+ */
+async function getL1UniqueVisitorsSeries(fromDate, toDate, options = {}) {
+  const { granularity } = options;
+
+  try {
+    logger.query(`Getting unique visitors ${granularity} series from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bucket = getBucketExpression(granularity);
+    const filterSql = buildPageviewFilters(options.filters);
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      SELECT
+          ${bucket} AS period_start,
+          COUNT(DISTINCT td_client_id) AS value
+      FROM preprocessed.pageviews_partitioned
+      WHERE td_client_id IS NOT NULL
+        AND td_client_id != ''
+        AND time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+        ${filterSql}
+      GROUP BY ${bucket}
+      ORDER BY period_start
+    `;
+
+    return {
+      series: fillSeries(result, fromDate, toDate, granularity, ['value']),
+      granularity,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1UniqueVisitorsSeries:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * SERIES 2: TOTAL BOOKINGS
+ * COUNT(*) of booking events (one per confirmation number) per bucket
+ */
+async function getL1TotalBookingsSeries(fromDate, toDate, options = {}) {
+  const { granularity } = options;
+
+  try {
+    logger.query(`Getting total bookings ${granularity} series from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bucket = getBucketExpression(granularity);
+    const bookingEvents = bookingEventsQuery({ fromTimestamp, toExclusiveTimestamp, filters: options.filters });
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH booking_events AS (${bookingEvents})
+      SELECT ${bucket} AS period_start, COUNT(*) AS value
+      FROM booking_events
+      GROUP BY ${bucket}
+      ORDER BY period_start
+    `;
+
+    return {
+      series: fillSeries(result, fromDate, toDate, granularity, ['value']),
+      granularity,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1TotalBookingsSeries:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * SERIES 3: ROOM NIGHTS
+ * SUM(room_nights) of booking events per bucket
+ */
+async function getL1RoomNightsSeries(fromDate, toDate, options = {}) {
+  const { granularity } = options;
+
+  try {
+    logger.query(`Getting room nights ${granularity} series from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bucket = getBucketExpression(granularity);
+    const bookingEvents = bookingEventsQuery({ fromTimestamp, toExclusiveTimestamp, filters: options.filters });
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH booking_events AS (${bookingEvents})
+      SELECT ${bucket} AS period_start, SUM(room_nights) AS value
+      FROM booking_events
+      WHERE room_nights > 0
+      GROUP BY ${bucket}
+      ORDER BY period_start
+    `;
+
+    return {
+      series: fillSeries(result, fromDate, toDate, granularity, ['value']),
+      granularity,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1RoomNightsSeries:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * SERIES 4: TOTAL REVENUE (USD, or options.currency)
+ * Same multi-currency conversion as getL1TotalRevenue, grouped per bucket
+ */
+async function getL1TotalRevenueSeries(fromDate, toDate, options = {}) {
+  const { granularity } = options;
+
+  try {
+    logger.query(`Getting total revenue ${granularity} series from ${fromDate} to ${toDate}`);
+
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bucket = getBucketExpression(granularity);
+    const bookingEvents = bookingEventsQuery({ fromTimestamp, toExclusiveTimestamp, filters: options.filters });
+    const currency = options.currency || DEFAULT_CURRENCY;
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH booking_events AS (${bookingEvents}),
+      payment_data AS (
+          SELECT ${bucket} AS period_start, payment_amount, currency_code
+          FROM booking_events
+          WHERE payment_amount > 0
+      )
+      SELECT
+          payment_data.period_start,
+          SUM(
+              payment_data.payment_amount *
+              ${usdRateExpression('payment_data.currency_code')}
+          ) / ${targetRateExpression(currency)} AS value
+      FROM payment_data
+      LEFT JOIN pythia_db.currencies c
+          ON UPPER(c.code) = UPPER(payment_data.currency_code)
+      GROUP BY payment_data.period_start
+      ORDER BY payment_data.period_start
+    `;
+
+    return {
+      series: fillSeries(result, fromDate, toDate, granularity, ['value']),
+      granularity,
+      currency,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1TotalRevenueSeries:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * SERIES 5: AVERAGE BOOKING VALUE
+ * Derived per bucket from the revenue and bookings series (same as getL1ABV)
+ */
+async function getL1ABVSeries(fromDate, toDate, options = {}) {
+  const { granularity } = options;
+
+  try {
+    logger.query(`Getting ABV ${granularity} series from ${fromDate} to ${toDate}`);
+
+    const [revenueResult, bookingsResult] = await Promise.all([
+      getL1TotalRevenueSeries(fromDate, toDate, options),
+      getL1TotalBookingsSeries(fromDate, toDate, options)
+    ]);
+
+    if (!revenueResult.success || !bookingsResult.success) {
+      throw new Error('Failed to get revenue or bookings series for ABV calculation');
+    }
+
+    // Both series are gap-filled over the same buckets, so they line up by index
+    const series = revenueResult.series.map((point, index) => {
+      const bookings = bookingsResult.series[index].value;
+      const abv = bookings > 0 ? point.value / bookings : 0;
+
+      return {
+        period: point.period,
+        value: Math.round(abv * 100) / 100
+      };
+    });
+
+    return {
+      series,
+      granularity,
+      success: true,
+      query_time: new Date().toISOString()
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1ABVSeries:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * SERIES 6: AVERAGE TIME ON SITE
+ * SUM([Total Seconds Spent]) ÷ SUM(Visits) per bucket from dbo.average_time_spent_per_visit
+ * (site-wide table - property filters do not apply)
+ */
+async function getL1AvgTimeOnSiteSeries(fromDate, toDate, options = {}) {
+  const { granularity } = options;
+
+  try {
+    logger.query(`Getting average time on site ${granularity} series from ${fromDate} to ${toDate}`);
+
+    const bucket = getBucketExpression(granularity, AGGREGATE_DATE);
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      SELECT
+        ${bucket} AS period_start,
+        ROUND(CAST(SUM(CAST([Total Seconds Spent] AS BIGINT)) AS FLOAT) / NULLIF(SUM(CAST(Visits AS BIGINT)), 0), 1) AS value
+      FROM dbo.average_time_spent_per_visit
+      WHERE [Date] BETWEEN ${fromDate} AND ${toDate}
+      GROUP BY ${bucket}
+      ORDER BY period_start
+    `;
+
+    return {
+      series: fillSeries(result, fromDate, toDate, granularity, ['value']),
+      granularity,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1AvgTimeOnSiteSeries:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+/**
+ * Room revenue (booking_transaction_roompayment) per bucket, converted like the revenue
+ * series - the ADR numerator, same as getL1RoomRevenue
+ */
+async function getL1RoomRevenueSeries(fromDate, toDate, options = {}) {
+  const { granularity } = options;
+
+  try {
+    const { fromTimestamp, toExclusiveTimestamp } = getTimestampRange(fromDate, toDate);
+    const bucket = getBucketExpression(granularity);
+    const bookingEvents = bookingEventsQuery({
+      fromTimestamp,
+      toExclusiveTimestamp,
+      filters: options.filters,
+      columns: [ROOM_PAYMENT_COLUMN]
+    });
+    const currency = options.currency || DEFAULT_CURRENCY;
+
+    const prisma = await getPrisma();
+    const result = await prisma.$queryRaw`
+      WITH booking_events AS (${bookingEvents}),
+      room_payments AS (
+          SELECT ${bucket} AS period_start, ${ROOM_PAYMENT} AS room_payment, currency_code
+          FROM booking_events
+      )
+      SELECT
+          room_payments.period_start,
+          SUM(
+              room_payments.room_payment *
+              ${usdRateExpression('room_payments.currency_code')}
+          ) / ${targetRateExpression(currency)} AS value
+      FROM room_payments
+      LEFT JOIN pythia_db.currencies c
+          ON UPPER(c.code) = UPPER(room_payments.currency_code)
+      WHERE room_payments.room_payment > 0
+      GROUP BY room_payments.period_start
+      ORDER BY room_payments.period_start
+    `;
+
+    return {
+      series: fillSeries(result, fromDate, toDate, granularity, ['value']),
+      granularity,
+      currency,
+      success: true
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1RoomRevenueSeries:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * SERIES 7: AVERAGE DAILY RATE
+ * Derived per bucket from the room revenue and room nights series (same as getL1ADR)
+ */
+async function getL1ADRSeries(fromDate, toDate, options = {}) {
+  const { granularity } = options;
+
+  try {
+    logger.query(`Getting ADR ${granularity} series from ${fromDate} to ${toDate}`);
+
+    const [roomRevenueResult, roomNightsResult] = await Promise.all([
+      getL1RoomRevenueSeries(fromDate, toDate, options),
+      getL1RoomNightsSeries(fromDate, toDate, options)
+    ]);
+
+    if (!roomRevenueResult.success || !roomNightsResult.success) {
+      throw new Error('Failed to get room revenue or room nights series for ADR calculation');
+    }
+
+    // Both series are gap-filled over the same buckets, so they line up by index
+    const series = roomRevenueResult.series.map((point, index) => {
+      const roomNights = roomNightsResult.series[index].value;
+      const adr = roomNights > 0 ? point.value / roomNights : 0;
+
+      return {
+        period: point.period,
+        value: Math.round(adr * 100) / 100
+      };
+    });
+
+    return {
+      series,
+      granularity,
+      currency: roomRevenueResult.currency,
+      success: true,
+      query_time: new Date().toISOString()
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1ADRSeries:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * SERIES 8: AVERAGE LENGTH OF STAY
+ * Derived per bucket from the room nights and bookings series (same as getL1ALOS)
+ */
+async function getL1ALOSSeries(fromDate, toDate, options = {}) {
+  const { granularity } = options;
+
+  try {
+    logger.query(`Getting ALOS ${granularity} series from ${fromDate} to ${toDate}`);
+
+    const [roomNightsResult, bookingsResult] = await Promise.all([
+      getL1RoomNightsSeries(fromDate, toDate, options),
+      getL1TotalBookingsSeries(fromDate, toDate, options)
+    ]);
+
+    if (!roomNightsResult.success || !bookingsResult.success) {
+      throw new Error('Failed to get room nights or bookings series for ALOS calculation');
+    }
+
+    const series = roomNightsResult.series.map((point, index) => {
+      const bookings = bookingsResult.series[index].value;
+      const alos = bookings > 0 ? point.value / bookings : 0;
+
+      return {
+        period: point.period,
+        value: Math.round(alos * 100) / 100
+      };
+    });
+
+    return {
+      series,
+      granularity,
+      success: true,
+      query_time: new Date().toISOString()
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1ALOSSeries:', error);
+    return {
+      series: [],
+      granularity,
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  getL1UniqueVisitorsSeries: withCache('getL1UniqueVisitorsSeries', 'trends', getL1UniqueVisitorsSeries),
+  getL1TotalBookingsSeries: withCache('getL1TotalBookingsSeries', 'trends', getL1TotalBookingsSeries),
+  getL1RoomNightsSeries: withCache('getL1RoomNightsSeries', 'trends', getL1RoomNightsSeries),
+  getL1TotalRevenueSeries: withCache('getL1TotalRevenueSeries', 'trends', getL1TotalRevenueSeries),
+  getL1ABVSeries: withCache('getL1ABVSeries', 'trends', getL1ABVSeries),
+  getL1AvgTimeOnSiteSeries: withCache('getL1AvgTimeOnSiteSeries', 'trends', getL1AvgTimeOnSiteSeries),
+  getL1ADRSeries: withCache('getL1ADRSeries', 'trends', getL1ADRSeries),
+  getL1ALOSSeries: withCache('getL1ALOSSeries', 'trends', getL1ALOSSeries)
+};
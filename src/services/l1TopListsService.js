@@ -0,0 +1,151 @@
+/**
+ * L1 TOP LISTS SERVICE
+ *
+ * Ranked top-N lists read from the pre-aggregated top_* tables (one row per
+ * Date, HotelID and item) instead of scanning pageviews:
+ *   channels     - dbo.top_channel            (Last Touch Channel)
+ *   entry_pages  - dbo.top_entry_page         (Entry Pages)
+ *   exit_pages   - dbo.top_exit_page          (Exit Pages)
+ *   rate_plans   - dbo.top_rate_plan          (Rate Plan Code + Rate Plan Name)
+ *   rooms        - dbo.top_room_name_selected (Room Name)
+ *
+ * Options: { filters, pagination } - filters.destination matches HotelID (sql/filters.js),
+ * pagination as in sql/pagination.js. Unfiltered lists only count property rows: the
+ * HotelID NULL / 'global' rows (unattributed and site-wide traffic) are left out.
+ * Note: the tables hold daily unique visitors, so the ranking value is the sum of daily
+ * uniques (a visitor returning on two days counts twice).
+ */
+
+const { Prisma } = require('../generated/prisma');
+// Use shared Prisma instance from main service
+const l1Service = require('./l1MetricsService');
+const logger = require('../utils/logger');
+const { withCache } = require('./cacheService');
+const { buildHotelIdFilter } = require('./sql/filters');
+const { buildPageClause, describePagination } = require('./sql/pagination');
+
+// Table and item columns per list; names are fixed here, never taken from the request.
+// The first column identifies the item and must be set; the others are descriptive and
+// come back as null when missing (e.g. a rate plan code without a name)
+const TOP_LISTS = {
+  channels: {
+    table: 'dbo.top_channel',
+    columns: { channel: '[Last Touch Channel]' }
+  },
+  entry_pages: {
+    table: 'dbo.top_entry_page',
+    columns: { page: '[Entry Pages]' }
+  },
+  exit_pages: {
+    table: 'dbo.top_exit_page',
+    columns: { page: '[Exit Pages]' }
+  },
+  rate_plans: {
+    table: 'dbo.top_rate_plan',
+    columns: { rate_plan_code: '[Rate Plan Code]', rate_plan_name: '[Rate Plan Name]' }
+  },
+  rooms: {
+    table: 'dbo.top_room_name_selected',
+    columns: { room_name: '[Room Name]' }
+  }
+};
+
+const TOP_LIST_NAMES = Object.keys(TOP_LISTS);
+
+// Helper function to get initialized prisma instance
+async function getPrisma() {
+  await l1Service.initializePrisma();
+  return l1Service.prisma;
+}
+
+/**
+ * TOP LIST
+ * Items ranked by summed daily unique visitors, with each item's share of the list total
+ */
+async function getL1TopList(fromDate, toDate, options = {}) {
+  const { list, filters, pagination } = options;
+
+  try {
+    const config = TOP_LISTS[list];
+    if (!config) {
+      throw new Error(`Unknown top list "${list}". Use one of: ${TOP_LIST_NAMES.join(', ')}`);
+    }
+
+    logger.query(`Getting top ${list} from ${fromDate} to ${toDate}`);
+
+    const keys = Object.keys(config.columns);
+    const table = Prisma.raw(config.table);
+    const selectColumns = Prisma.raw(keys.map(key => `${config.columns[key]} AS ${key}`).join(', '));
+    const groupColumns = Prisma.raw(keys.map(key => config.columns[key]).join(', '));
+    const idColumn = Prisma.raw(config.columns[keys[0]]);
+    const orderColumns = Prisma.raw(keys.join(', '));
+    const hotelFilter = buildHotelIdFilter(filters, { propertiesOnly: true });
+
+    const prisma = await getPrisma();
+    const itemsSql = Prisma.sql`
+      SELECT ${selectColumns}, SUM(CAST([Unique Visitors] AS BIGINT)) AS unique_visitors
+      FROM ${table}
+      WHERE [Date] BETWEEN ${fromDate} AND ${toDate}
+        ${hotelFilter}
+        AND ${idColumn} IS NOT NULL
+      GROUP BY ${groupColumns}`;
+
+    const result = await prisma.$queryRaw`
+      WITH items AS (${itemsSql})
+      SELECT
+          items.*,
+          COUNT(*) OVER () AS total_items,
+          SUM(unique_visitors) OVER () AS total_visitors
+      FROM items
+      ORDER BY unique_visitors DESC, ${orderColumns}
+      ${buildPageClause(pagination)}
+    `;
+
+    // A page past the end returns no rows, so the totals need their own query
+    let totals = result[0];
+    if (!totals) {
+      const countResult = await prisma.$queryRaw`
+        WITH items AS (${itemsSql})
+        SELECT COUNT(*) AS total_items, SUM(unique_visitors) AS total_visitors
+        FROM items
+      `;
+      totals = countResult[0];
+    }
+
+    const totalVisitors = Number(totals.total_visitors) || 0;
+    const pageInfo = describePagination(pagination, Number(totals.total_items) || 0);
+
+    const items = result.map((row, index) => {
+      const item = { rank: (pageInfo.page - 1) * pageInfo.page_size + index + 1 };
+      keys.forEach(key => { item[key] = row[key]; });
+      item.unique_visitors = Number(row.unique_visitors) || 0;
+      item.percentage = totalVisitors > 0 ? Math.round((item.unique_visitors / totalVisitors) * 1000) / 10 : 0;
+      return item;
+    });
+
+    return {
+      list,
+      items,
+      total_visitors: totalVisitors,
+      pagination: pageInfo,
+      success: true,
+      query_time: new Date().toISOString(),
+      cached: false
+    };
+
+  } catch (error) {
+    logger.error('Error in getL1TopList:', error);
+    return {
+      list,
+      items: [],
+      success: false,
+      error: error.message,
+      cached: false
+    };
+  }
+}
+
+module.exports = {
+  TOP_LIST_NAMES,
+  getL1TopList: withCache('getL1TopList', 'trends', getL1TopList)
+};
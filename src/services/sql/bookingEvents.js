@@ -0,0 +1,100 @@
+/**
+ * BOOKING EVENT EXTRACTION
+ *
+ * The pageviews table carries booking data in two column sets - the original columns
+ * and a duplicated "_1" set from a later tracking version:
+ *   booking_transaction_confirmationno / _1
+ *   booking_transaction_totalpayment   / _1
+ *   booking_transaction_currencytype   / _1
+ *   booking_bookingwidget_totalnightstay / _1
+ * A booking can appear in either set, in both, and on several pageviews (confirmation
+ * page reloads). Every metric and chart that counts bookings goes through this module,
+ * so KPI totals, the funnel and the revenue trends all see the same bookings.
+ */
+
+const { Prisma } = require('../../generated/prisma');
+const { buildPageviewFilters } = require('./filters');
+
+/**
+ * One row per distinct confirmation number in the date range
+ * (fromTimestamp / toExclusiveTimestamp from dateBuckets.getTimestampRange):
+ *   confirmation_no, td_client_id, [time], payment_amount, currency_code, room_nights
+ * Use as: WITH booking_events AS (${bookingEventsQuery(...)})
+ *
+ * When a confirmation number appears more than once the row with a payment is kept
+ * (then the earliest), so a booking is never counted twice and never loses its revenue.
+ * [time] keeps its original name so the dateBuckets expressions work on the result.
+ *
+ * columns: extra pageviews columns to carry through from the kept row (e.g. the
+ * single-set booking_transaction_* columns). Names are fixed by the caller, never request input.
+ */
+function bookingEventsQuery({ fromTimestamp, toExclusiveTimestamp, filters, tableSample = Prisma.empty, columns = [] }) {
+  const filterSql = buildPageviewFilters(filters, 'p');
+  const extraColumns = Prisma.raw(columns.map(column => `, ${column}`).join(''));
+  const extraSourceColumns = Prisma.raw(columns.map(column => `p.${column},`).join(' '));
+
+  return Prisma.sql`
+      SELECT confirmation_no, td_client_id, [time], payment_amount, currency_code, room_nights${extraColumns}
+      FROM (
+          SELECT
+              v.confirmation_no,
+              p.td_client_id,
+              p.[time],
+              ${extraSourceColumns}
+              TRY_CAST(v.payment AS FLOAT) AS payment_amount,
+              v.currency_code,
+              TRY_CAST(v.nights AS FLOAT) AS room_nights,
+              ROW_NUMBER() OVER (
+                  PARTITION BY v.confirmation_no
+                  ORDER BY CASE WHEN TRY_CAST(v.payment AS FLOAT) > 0 THEN 0 ELSE 1 END, p.[time]
+              ) AS event_rank
+          FROM preprocessed.pageviews_partitioned p ${tableSample}
+          CROSS APPLY (VALUES
+              (p.booking_transaction_confirmationno, p.booking_transaction_totalpayment,
+               p.booking_transaction_currencytype, p.booking_bookingwidget_totalnightstay),
+              (p.booking_transaction_confirmationno_1, p.booking_transaction_totalpayment_1,
+               p.booking_transaction_currencytype_1, p.booking_bookingwidget_totalnightstay_1)
+          ) AS v(confirmation_no, payment, currency_code, nights)
+          WHERE p.time >= ${fromTimestamp}
+            AND p.time < ${toExclusiveTimestamp}
+            ${filterSql}
+            AND v.confirmation_no IS NOT NULL
+            AND v.confirmation_no != ''
+      ) ranked_events
+      WHERE event_rank = 1`;
+}
+
+/**
+ * Row-level predicates over a pageviews row, checking both column sets
+ * (for funnel-style COUNT(DISTINCT CASE WHEN ... THEN td_client_id END) queries)
+ */
+const HAS_CONFIRMATION = Prisma.sql`(
+    (booking_transaction_confirmationno IS NOT NULL AND booking_transaction_confirmationno != '')
+ OR (booking_transaction_confirmationno_1 IS NOT NULL AND booking_transaction_confirmationno_1 != ''))`;
+
+const HAS_PAYMENT = Prisma.sql`(
+    TRY_CAST(booking_transaction_totalpayment AS FLOAT) > 0
+ OR TRY_CAST(booking_transaction_totalpayment_1 AS FLOAT) > 0)`;
+
+const HAS_SEARCH = Prisma.sql`(
+    (booking_bookingwidget_arrivaldate IS NOT NULL AND booking_bookingwidget_arrivaldate != '')
+ OR (booking_bookingwidget_arrivaldate_1 IS NOT NULL AND booking_bookingwidget_arrivaldate_1 != ''))`;
+
+const HAS_ROOM_SELECTION = Prisma.sql`(
+    (booking_bookingwidget_adultroom IS NOT NULL AND booking_bookingwidget_adultroom != '')
+ OR (booking_bookingwidget_adultroom_1 IS NOT NULL AND booking_bookingwidget_adultroom_1 != ''))`;
+
+// Room-only payment of a booking (single-set column), the ADR numerator; pass the column
+// to bookingEventsQuery and read it from booking_events with ROOM_PAYMENT
+const ROOM_PAYMENT_COLUMN = 'booking_transaction_roompayment';
+const ROOM_PAYMENT = Prisma.raw(`TRY_CAST(${ROOM_PAYMENT_COLUMN} AS FLOAT)`);
+
+module.exports = {
+  bookingEventsQuery,
+  HAS_CONFIRMATION,
+  HAS_PAYMENT,
+  HAS_SEARCH,
+  HAS_ROOM_SELECTION,
+  ROOM_PAYMENT_COLUMN,
+  ROOM_PAYMENT
+};
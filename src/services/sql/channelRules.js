@@ -0,0 +1,127 @@
+/**
+ * CHANNEL CLASSIFICATION RULES
+ *
+ * Loads the marketing-owned rule file (src/config/channelRules.json, or CHANNEL_RULES_PATH)
+ * and compiles it into the CASE expression used by Unique Visitors by Channel.
+ *
+ * Rule file format:
+ *   version          - reported with every response and part of the cache key
+ *   default_channel  - channel for rows no rule matches
+ *   rules[]          - { priority, channel, match: { utm_source, utm_medium, utm_campaign, referrer_domain } }
+ * Rules are evaluated by ascending priority and the first match wins. Within a rule every
+ * listed field must match; a field matches when any of its patterns does. Patterns are
+ * case-insensitive globs (* any characters, ? one character) and "" matches an empty value.
+ *
+ * The file is re-read when its modification time changes, so rule edits apply without a
+ * restart. An invalid edit is logged and the last valid ruleset stays in use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Prisma } = require('../../generated/prisma');
+const logger = require('../../utils/logger');
+const { MATCH_FIELDS, globToLike, validateRuleset } = require('../../utils/channelRuleset');
+
+const RULES_PATH = process.env.CHANNEL_RULES_PATH
+  || path.join(__dirname, '..', '..', 'config', 'channelRules.json');
+
+/**
+ * Host part of td_referrer ("https://www.google.com/search?q=x" -> "www.google.com"),
+ * exposed as referrer.referrer_domain. Append after the pageviews table (and its TABLESAMPLE).
+ */
+const REFERRER_DOMAIN_APPLY = Prisma.sql`
+  CROSS APPLY (
+      SELECT CASE
+          WHEN CHARINDEX('://', td_referrer) > 0 THEN SUBSTRING(td_referrer, CHARINDEX('://', td_referrer) + 3, 4000)
+          ELSE td_referrer
+      END AS referrer_rest
+  ) AS referrer_parts
+  CROSS APPLY (
+      SELECT LOWER(LEFT(referrer_parts.referrer_rest, CHARINDEX('/', referrer_parts.referrer_rest + '/') - 1)) AS referrer_domain
+  ) AS referrer`;
+
+let loadedRuleset = null;
+let loadedMtimeMs = null;
+
+function buildPatternCondition(field, pattern) {
+  const column = Prisma.raw(MATCH_FIELDS[field]);
+
+  if (pattern === '') {
+    return Prisma.sql`(${column} IS NULL OR ${column} = '')`;
+  }
+
+  const likePattern = globToLike(pattern);
+
+  // Domains also match any subdomain: google.com -> www.google.com
+  if (field === 'referrer_domain') {
+    return Prisma.sql`(${column} LIKE ${likePattern} OR ${column} LIKE ${'%.' + likePattern})`;
+  }
+
+  return Prisma.sql`LOWER(${column}) LIKE ${likePattern}`;
+}
+
+function buildRuleCondition(rule) {
+  const fieldConditions = Object.keys(rule.match).map(field => {
+    const patternConditions = rule.match[field].map(pattern => buildPatternCondition(field, pattern));
+    return Prisma.sql`(${Prisma.join(patternConditions, ' OR ')})`;
+  });
+
+  return Prisma.join(fieldConditions, ' AND ');
+}
+
+function compileRuleset(rawContent) {
+  const ruleset = validateRuleset(JSON.parse(rawContent));
+  const whenClauses = ruleset.rules.map(rule => Prisma.sql`WHEN ${buildRuleCondition(rule)} THEN ${rule.channel}`);
+
+  return {
+    ...ruleset,
+    // Content hash guards the cache against edits that forget to bump "version"
+    fingerprint: `${ruleset.version}-${crypto.createHash('sha1').update(rawContent).digest('hex').slice(0, 8)}`,
+    caseExpression: Prisma.sql`CASE ${Prisma.join(whenClauses, ' ')} ELSE ${ruleset.default_channel} END`
+  };
+}
+
+/**
+ * Current ruleset, reloaded when the file changes
+ */
+function getChannelRules() {
+  const { mtimeMs } = fs.statSync(RULES_PATH);
+  if (loadedRuleset && mtimeMs === loadedMtimeMs) {
+    return loadedRuleset;
+  }
+
+  try {
+    loadedRuleset = compileRuleset(fs.readFileSync(RULES_PATH, 'utf8'));
+    loadedMtimeMs = mtimeMs;
+    logger.info(`Loaded channel rules ${loadedRuleset.version} (${loadedRuleset.rules.length} rules) from ${RULES_PATH}`);
+    return loadedRuleset;
+
+  } catch (error) {
+    if (!loadedRuleset) {
+      throw new Error(`Invalid channel rules file ${RULES_PATH}: ${error.message}`);
+    }
+
+    // Keep serving the last valid rules; retry once the file changes again
+    logger.error(`Invalid channel rules file ${RULES_PATH}, keeping version ${loadedRuleset.version}:`, error.message);
+    loadedMtimeMs = mtimeMs;
+    return loadedRuleset;
+  }
+}
+
+/**
+ * Cache key version for results that depend on the channel rules
+ */
+function getChannelRulesFingerprint() {
+  return getChannelRules().fingerprint;
+}
+
+module.exports = {
+  RULES_PATH,
+  MATCH_FIELDS,
+  REFERRER_DOMAIN_APPLY,
+  globToLike,
+  validateRuleset,
+  getChannelRules,
+  getChannelRulesFingerprint
+};
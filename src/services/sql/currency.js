@@ -0,0 +1,59 @@
+/**
+ * CURRENCY CONVERSION HELPERS
+ *
+ * Booking payments are stored in the guest's currency. Revenue is converted to USD row by
+ * row with pythia_db.currencies.exchange_rate_to_usd (USD value of one unit), then into
+ * the requested reporting currency by dividing by that currency's rate:
+ *   amount_in_target = amount * rate(row currency) / rate(target currency)
+ * Rows with an unknown currency are treated as USD, as the Total Revenue KPI always has.
+ */
+
+const { Prisma } = require('../../generated/prisma');
+
+const DEFAULT_CURRENCY = 'USD';
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Upper-case a requested currency code; null when it is not a 3-letter code
+ */
+function normalizeCurrencyCode(code) {
+  if (typeof code !== 'string') return null;
+
+  const normalized = code.trim().toUpperCase();
+  return CURRENCY_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * USD value of one unit of the row's currency, for a row joined as
+ *   LEFT JOIN pythia_db.currencies c ON UPPER(c.code) = UPPER(<currencyColumn>)
+ * currencyColumn is a fixed column name from the calling query, never request input
+ */
+function usdRateExpression(currencyColumn) {
+  return Prisma.sql`CASE
+          WHEN UPPER(${Prisma.raw(currencyColumn)}) = 'USD' THEN 1.0
+          ELSE COALESCE(c.exchange_rate_to_usd, 1.0)
+      END`;
+}
+
+/**
+ * Scalar USD rate of the reporting currency (divide USD amounts by it)
+ * Codes must be validated against the currencies table first (currencyService.js)
+ */
+function targetRateExpression(currency = DEFAULT_CURRENCY) {
+  if (currency === DEFAULT_CURRENCY) {
+    return Prisma.sql`1.0`;
+  }
+
+  return Prisma.sql`(
+      SELECT TOP 1 target.exchange_rate_to_usd
+      FROM pythia_db.currencies target
+      WHERE UPPER(target.code) = ${currency}
+  )`;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normalizeCurrencyCode,
+  usdRateExpression,
+  targetRateExpression
+};
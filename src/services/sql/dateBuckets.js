@@ -0,0 +1,160 @@
+/**
+ * DATE BUCKETING HELPERS
+ *
+ * Shared SQL fragments for grouping pageview rows into day / week / month buckets.
+ * Uses the same event-date expression as the chart services:
+ *   CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)
+ *
+ * Bucket keys are the first day of each bucket (weeks start on Monday, months on the 1st),
+ * so the SQL grouping and the JS gap-filling below always agree.
+ */
+
+const { Prisma } = require('../../generated/prisma');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Event date of a pageview row (UTC)
+const EVENT_DATE = Prisma.sql`CAST(DATEADD(SECOND, CAST([time] AS BIGINT), '1970-01-01') AS DATE)`;
+
+// Date column of the pre-aggregated tables (one row per Date)
+const AGGREGATE_DATE = Prisma.sql`[Date]`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Unix-second bounds of a from / to date range for pageview [time] filters.
+ * toDate is a whole day, so the upper bound is exclusive - the start of the following day:
+ *   WHERE time >= ${fromTimestamp} AND time < ${toExclusiveTimestamp}
+ * This covers the same days as [Date] BETWEEN fromDate AND toDate on the aggregate tables.
+ */
+function getTimestampRange(fromDate, toDate) {
+  return {
+    fromTimestamp: Math.floor(new Date(fromDate).getTime() / 1000),
+    toExclusiveTimestamp: Math.floor((new Date(toDate).getTime() + DAY_MS) / 1000)
+  };
+}
+
+/**
+ * Bucket start expressions for a date expression (pageview event date by default,
+ * or a DATE column of a pre-aggregated table)
+ */
+function buildBucketExpressions(date) {
+  return {
+    day: date,
+    // Monday of the week, independent of the server's @@DATEFIRST setting
+    week: Prisma.sql`DATEADD(DAY, -((DATEPART(WEEKDAY, ${date}) + @@DATEFIRST - 2) % 7), ${date})`,
+    month: Prisma.sql`DATEFROMPARTS(YEAR(${date}), MONTH(${date}), 1)`
+  };
+}
+
+const BUCKET_EXPRESSIONS = buildBucketExpressions(EVENT_DATE);
+
+function isValidGranularity(granularity) {
+  return GRANULARITIES.includes(granularity);
+}
+
+/**
+ * SQL expression returning the bucket start date for each row
+ * dateExpression: defaults to the pageview event date; pass AGGREGATE_DATE for the aggregate tables
+ */
+function getBucketExpression(granularity, dateExpression) {
+  if (!isValidGranularity(granularity)) {
+    throw new Error(`Unsupported granularity "${granularity}". Use one of: ${GRANULARITIES.join(', ')}`);
+  }
+  return dateExpression
+    ? buildBucketExpressions(dateExpression)[granularity]
+    : BUCKET_EXPRESSIONS[granularity];
+}
+
+/**
+ * Bucket start (YYYY-MM-DD) for a given date, mirroring the SQL expressions above
+ */
+function getBucketStart(date, granularity) {
+  const bucket = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (granularity === 'week') {
+    const daysSinceMonday = (bucket.getUTCDay() + 6) % 7;
+    bucket.setUTCDate(bucket.getUTCDate() - daysSinceMonday);
+  } else if (granularity === 'month') {
+    bucket.setUTCDate(1);
+  }
+
+  return bucket.toISOString().split('T')[0];
+}
+
+/**
+ * Every bucket start between fromDate and toDate (inclusive), in order - the whole days
+ * covered by getTimestampRange, so every bucket listed can be filled by the query
+ */
+function listBuckets(fromDate, toDate, granularity) {
+  const buckets = [];
+  const cursor = new Date(getBucketStart(new Date(fromDate), granularity));
+  const end = new Date(toDate);
+
+  while (cursor <= end) {
+    buckets.push(cursor.toISOString().split('T')[0]);
+
+    if (granularity === 'day') {
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    } else if (granularity === 'week') {
+      cursor.setUTCDate(cursor.getUTCDate() + 7);
+    } else {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+  }
+
+  return buckets;
+}
+
+/**
+ * Turn grouped query rows ({ period_start, ...values }) into one point per bucket,
+ * filling buckets with no rows with zeros so sparklines have no gaps
+ */
+function fillSeries(rows, fromDate, toDate, granularity, valueFields) {
+  const rowsByBucket = new Map(
+    rows.map(row => [new Date(row.period_start).toISOString().split('T')[0], row])
+  );
+
+  return listBuckets(fromDate, toDate, granularity).map(period => {
+    const row = rowsByBucket.get(period);
+    const point = { period };
+
+    valueFields.forEach(field => {
+      point[field] = row ? Number(row[field]) || 0 : 0;
+    });
+
+    return point;
+  });
+}
+
+/**
+ * STAY WINDOWS
+ * Forward-looking endpoints (on the books, search demand) report on stay / arrival dates
+ * (stay_from / stay_to) separately from the from / to window of booking or search activity.
+ * stayFrom defaults to fromDate, stayTo to DEFAULT_STAY_WINDOW_DAYS days from stayFrom.
+ */
+const DEFAULT_STAY_WINDOW_DAYS = 90;
+const MAX_STAY_WINDOW_DAYS = 366;
+
+function resolveStayWindow(fromDate, stayFrom, stayTo) {
+  const start = stayFrom || fromDate;
+  if (stayTo) return { stayFrom: start, stayTo };
+
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + DEFAULT_STAY_WINDOW_DAYS - 1);
+  return { stayFrom: start, stayTo: end.toISOString().split('T')[0] };
+}
+
+module.exports = {
+  GRANULARITIES,
+  EVENT_DATE,
+  AGGREGATE_DATE,
+  getTimestampRange,
+  isValidGranularity,
+  getBucketExpression,
+  getBucketStart,
+  listBuckets,
+  fillSeries,
+  MAX_STAY_WINDOW_DAYS,
+  resolveStayWindow
+};
@@ -0,0 +1,76 @@
+/**
+ * HOTEL / BRAND FILTERS
+ *
+ * Shared parsing and SQL for the property filters accepted by every L1 endpoint:
+ *   hotel=       pageviews.hotel_name
+ *   brand=       pageviews.hotel_brand
+ *   country=     pageviews.hotel_country
+ *   destination= pageviews.sitedestination (property code, e.g. ppsin)
+ *
+ * Each parameter takes one value or a comma-separated list. Different parameters
+ * are ANDed, values of the same parameter are ORed.
+ *
+ * The pre-aggregated tables (top_*, upgrade_rate_*, ...) are keyed by HotelID, which holds
+ * the same property code as sitedestination, so only destination= applies to them directly;
+ * the routes turn hotel= / brand= / country= into property codes first (toHotelIdFilters).
+ */
+
+const { Prisma } = require('../../generated/prisma');
+const {
+  FILTER_COLUMNS,
+  FILTER_PARAMS,
+  AGGREGATE_FILTER_PARAMS,
+  PORTFOLIO_HOTEL_IDS,
+  parseFilters,
+  hasFilters,
+  toHotelIdFilters
+} = require('../../utils/filterParams');
+
+/**
+ * WHERE-clause fragment for the pageviews table: "AND hotel_name IN (...) AND ..."
+ * Returns an empty fragment when no filters are set, so it can always be appended;
+ * a filter with an empty value list (see toHotelIdFilters) matches no rows.
+ * Pass a table alias when the query joins other tables with the same column names.
+ */
+function buildPageviewFilters(filters, alias) {
+  if (!hasFilters(filters)) return Prisma.empty;
+
+  const prefix = alias ? `${alias}.` : '';
+  const conditions = Object.keys(filters)
+    .filter(param => FILTER_COLUMNS[param])
+    .map(param => (filters[param].length > 0
+      ? Prisma.sql`AND ${Prisma.raw(prefix + FILTER_COLUMNS[param])} IN (${Prisma.join(filters[param])})`
+      : Prisma.sql`AND 1 = 0`));
+
+  return conditions.length > 0 ? Prisma.join(conditions, ' ') : Prisma.empty;
+}
+
+/**
+ * WHERE-clause fragment for the pre-aggregated tables: "AND HotelID IN (...)"
+ * An empty destination list (hotel= / brand= / country= matching no property) matches no rows.
+ * Without a destination filter, options.propertiesOnly leaves out the rows that belong to
+ * no property (HotelID NULL or one of PORTFOLIO_HOTEL_IDS).
+ */
+function buildHotelIdFilter(filters, options = {}) {
+  if (hasFilters(filters) && filters.destination) {
+    return filters.destination.length > 0
+      ? Prisma.sql`AND HotelID IN (${Prisma.join(filters.destination)})`
+      : Prisma.sql`AND 1 = 0`;
+  }
+
+  return options.propertiesOnly
+    ? Prisma.sql`AND HotelID IS NOT NULL AND HotelID NOT IN (${Prisma.join(PORTFOLIO_HOTEL_IDS)})`
+    : Prisma.empty;
+}
+
+module.exports = {
+  FILTER_COLUMNS,
+  FILTER_PARAMS,
+  AGGREGATE_FILTER_PARAMS,
+  PORTFOLIO_HOTEL_IDS,
+  parseFilters,
+  hasFilters,
+  toHotelIdFilters,
+  buildPageviewFilters,
+  buildHotelIdFilter
+};
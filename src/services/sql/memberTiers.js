@@ -0,0 +1,60 @@
+/**
+ * MEMBER TIER HELPERS
+ *
+ * The pageviews table records the GHA DISCOVERY tier in two column sets
+ * (user_userinfo_membertier / user_userinfo_membertier_1, see sql/bookingEvents.js
+ * for the same split on booking columns). Tier values are upper-cased so
+ * "Gold" and "GOLD" land in the same bucket.
+ *
+ * Membership itself is recognised by a member id in either set or a gravty (GHA DISCOVERY) id.
+ */
+
+const { Prisma } = require('../../generated/prisma');
+
+// Bucket for members whose tier was not captured on the row
+const UNKNOWN_TIER = 'UNKNOWN';
+// Bucket for visitors never seen with a member id or tier
+const NON_MEMBER = 'NON_MEMBER';
+
+/**
+ * Tier of a pageviews row, or NULL when neither column set has one
+ */
+const MEMBER_TIER = Prisma.sql`UPPER(LTRIM(RTRIM(COALESCE(
+    NULLIF(user_userinfo_membertier, ''),
+    NULLIF(user_userinfo_membertier_1, '')))))`;
+
+/**
+ * Member id of a pageviews row, or NULL for anonymous / non-member traffic
+ */
+const MEMBER_ID = Prisma.sql`COALESCE(
+    NULLIF(user_userinfo_memberid, ''),
+    NULLIF(user_userinfo_memberid_1, ''),
+    NULLIF(user_userinfo_gravty_gravty_id, ''))`;
+
+/**
+ * Segment label of a pageviews row: its tier, UNKNOWN_TIER for a member without a tier,
+ * NON_MEMBER otherwise
+ */
+const MEMBER_SEGMENT = Prisma.sql`CASE
+    WHEN ${MEMBER_TIER} IS NOT NULL THEN ${MEMBER_TIER}
+    WHEN ${MEMBER_ID} IS NOT NULL THEN ${UNKNOWN_TIER}
+    ELSE ${NON_MEMBER}
+  END`;
+
+/**
+ * Sort key for MEMBER_SEGMENT: rows with a tier first, then members without one, then non-members
+ */
+const MEMBER_SEGMENT_RANK = Prisma.sql`CASE
+    WHEN ${MEMBER_TIER} IS NOT NULL THEN 0
+    WHEN ${MEMBER_ID} IS NOT NULL THEN 1
+    ELSE 2
+  END`;
+
+module.exports = {
+  UNKNOWN_TIER,
+  NON_MEMBER,
+  MEMBER_TIER,
+  MEMBER_ID,
+  MEMBER_SEGMENT,
+  MEMBER_SEGMENT_RANK
+};
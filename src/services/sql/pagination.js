@@ -0,0 +1,69 @@
+/**
+ * PAGINATION HELPERS
+ *
+ * page= (1-based, default 1) and page_size= (default 10, max 100) for ranked list
+ * endpoints. Queries page with OFFSET / FETCH and return the total row count
+ * through COUNT(*) OVER () so a single round trip gives both.
+ */
+
+const { Prisma } = require('../../generated/prisma');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+function parsePositiveInteger(value) {
+  if (!/^\d+$/.test(String(value))) return null;
+
+  const parsed = Number(value);
+  return parsed >= 1 ? parsed : null;
+}
+
+/**
+ * Parse page / page_size query parameters into { pagination, errors }
+ */
+function parsePagination(query) {
+  const errors = [];
+  let page = 1;
+  let pageSize = DEFAULT_PAGE_SIZE;
+
+  if (query.page !== undefined) {
+    page = parsePositiveInteger(query.page);
+    if (page === null) errors.push('"page" must be a positive integer');
+  }
+
+  if (query.page_size !== undefined) {
+    pageSize = parsePositiveInteger(query.page_size);
+    if (pageSize === null || pageSize > MAX_PAGE_SIZE) {
+      errors.push(`"page_size" must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  return { pagination: { page, page_size: pageSize }, errors };
+}
+
+/**
+ * OFFSET / FETCH clause; the query must have an ORDER BY
+ */
+function buildPageClause({ page = 1, page_size: pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  return Prisma.sql`OFFSET ${(page - 1) * pageSize} ROWS FETCH NEXT ${pageSize} ROWS ONLY`;
+}
+
+/**
+ * Pagination block for API responses
+ */
+function describePagination({ page = 1, page_size: pageSize = DEFAULT_PAGE_SIZE } = {}, totalItems) {
+  return {
+    page,
+    page_size: pageSize,
+    total_items: totalItems,
+    total_pages: Math.ceil(totalItems / pageSize)
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePagination,
+  buildPageClause,
+  describePagination
+};
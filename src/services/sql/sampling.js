@@ -0,0 +1,193 @@
+/**
+ * SAMPLING / ACCURACY MODES
+ *
+ * Chart queries run in one of three accuracy modes:
+ *   exact   - full scan, no scaling (finance numbers)
+ *   sampled - TABLESAMPLE (2 PERCENT), counts scaled x50 (previous default)
+ *   fast    - TABLESAMPLE (0.5 PERCENT), counts scaled x200 (ops dashboards)
+ * plus "auto", which picks one of the above from the length of the date range.
+ *
+ * Samples are seeded with REPEATABLE (seed) so the same request returns the same
+ * rows (and numbers) on every refresh while the underlying data is unchanged.
+ * The seed defaults to SAMPLING_SEED and can be overridden per request.
+ */
+
+const { Prisma } = require('../../generated/prisma');
+
+const SAMPLING_MODES = ['exact', 'sampled', 'fast', 'auto'];
+const DEFAULT_SAMPLING_MODE = 'sampled';
+
+const MODE_SETTINGS = {
+  exact: { percent: 100 },
+  sampled: { percent: 2 },
+  fast: { percent: 0.5 }
+};
+
+const MAX_SAMPLING_SEED = 2147483647;
+const DEFAULT_SAMPLING_SEED = parseSamplingSeed(process.env.SAMPLING_SEED) ?? 42;
+
+// auto: exact for up to a month, sampled for up to a year, fast beyond that
+const AUTO_EXACT_MAX_DAYS = 31;
+const AUTO_SAMPLED_MAX_DAYS = 366;
+
+function isValidSamplingMode(mode) {
+  return SAMPLING_MODES.includes(mode);
+}
+
+/**
+ * Parse a seed (number or numeric string) to an integer in [0, 2^31 - 1]; null when invalid
+ */
+function parseSamplingSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') return null;
+  if (!/^\d+$/.test(String(seed))) return null;
+
+  const parsed = Number(seed);
+  return parsed <= MAX_SAMPLING_SEED ? parsed : null;
+}
+
+function isValidSamplingSeed(seed) {
+  return parseSamplingSeed(seed) !== null;
+}
+
+/**
+ * Resolve "auto" (or a missing mode) to a concrete mode for the date range
+ */
+function resolveSamplingMode(mode, fromDate, toDate) {
+  if (!mode) return DEFAULT_SAMPLING_MODE;
+  if (mode !== 'auto') return mode;
+
+  const days = Math.round((new Date(toDate) - new Date(fromDate)) / (1000 * 60 * 60 * 24)) + 1;
+
+  if (days <= AUTO_EXACT_MAX_DAYS) return 'exact';
+  if (days <= AUTO_SAMPLED_MAX_DAYS) return 'sampled';
+  return 'fast';
+}
+
+/**
+ * Sampling settings for a query:
+ * - tableSample: fragment to place after the table name (empty in exact mode)
+ * - scale_factor: multiply sampled counts / sums by this to estimate the full population
+ */
+function getSampling(mode, fromDate, toDate, seed) {
+  if (mode !== undefined && !isValidSamplingMode(mode)) {
+    throw new Error(`Unsupported mode "${mode}". Use one of: ${SAMPLING_MODES.join(', ')}`);
+  }
+  if (seed !== undefined && !isValidSamplingSeed(seed)) {
+    throw new Error(`Invalid seed "${seed}". Use an integer between 0 and ${MAX_SAMPLING_SEED}`);
+  }
+
+  const resolvedMode = resolveSamplingMode(mode, fromDate, toDate);
+  const { percent } = MODE_SETTINGS[resolvedMode];
+  const isSampled = percent < 100;
+  const samplingSeed = seed !== undefined ? parseSamplingSeed(seed) : DEFAULT_SAMPLING_SEED;
+
+  return {
+    mode: resolvedMode,
+    requested_mode: mode || DEFAULT_SAMPLING_MODE,
+    sampling_rate: percent / 100,
+    scale_factor: 100 / percent,
+    seed: isSampled ? samplingSeed : null,
+    // percent comes from MODE_SETTINGS and the seed is a validated integer - neither is raw request text
+    tableSample: isSampled
+      ? Prisma.raw(`TABLESAMPLE (${percent} PERCENT) REPEATABLE (${samplingSeed})`)
+      : Prisma.empty
+  };
+}
+
+/**
+ * Sampling details for API responses (drops the SQL fragment)
+ */
+function describeSampling({ tableSample, ...sampling }) {
+  return sampling;
+}
+
+/**
+ * APPROXIMATE INTERVALS
+ * Margins use a normal approximation at a nominal 95% level, treating each sampled unit
+ * as an independent Bernoulli draw with probability sampling_rate. That model does not
+ * hold for these charts:
+ *   - TABLESAMPLE samples whole pages, so rows on a page are correlated
+ *   - the counts are COUNT(DISTINCT ...) of visitors / bookings scaled up by the row
+ *     sampling factor; a unit with many rows is more likely to be in the sample, so
+ *     the estimate itself is biased and the margin understates the error
+ * The intervals are therefore not a 95% guarantee - every sampled interval is labelled
+ * approximate: true. They are still useful for error bars and for flagging segments
+ * that are too small to trust. In exact mode every margin is 0 and approximate is false.
+ */
+const Z_95 = 1.96;
+const MIN_RELIABLE_SAMPLE = 30;
+
+function buildInterval(sampling, estimate, margin, sampleSize, decimals, lowerBound = 0, upperBound = Infinity) {
+  const factor = Math.pow(10, decimals);
+  const round = value => Math.round(value * factor) / factor;
+
+  return {
+    margin_of_error: round(margin),
+    lower: round(Math.max(lowerBound, estimate - margin)),
+    upper: round(Math.min(upperBound, estimate + margin)),
+    confidence_level: 0.95,
+    approximate: sampling.sampling_rate < 1,
+    sample_size: sampleSize,
+    // Small exact counts are still exact - only sampled values can be untrustworthy
+    low_sample: sampling.sampling_rate < 1 && sampleSize < MIN_RELIABLE_SAMPLE
+  };
+}
+
+/**
+ * Interval for a scaled count (estimate = sample count x scale factor)
+ * Var(estimate) = n (1 - p) / p^2
+ */
+function countInterval(estimate, sampling) {
+  const sampleSize = Math.round((Number(estimate) || 0) / sampling.scale_factor);
+  const margin = Z_95 * sampling.scale_factor * Math.sqrt(sampleSize * (1 - sampling.sampling_rate));
+
+  return buildInterval(sampling, Number(estimate) || 0, margin, sampleSize, 0);
+}
+
+/**
+ * Interval for a scaled sum (estimate = sample sum x scale factor)
+ * Var(estimate) = (1 - p) / p^2 * SUM(x^2) over the sampled rows
+ */
+function sumInterval(estimate, sampleSumOfSquares, sampleSize, sampling) {
+  const margin = Z_95 * sampling.scale_factor * Math.sqrt((1 - sampling.sampling_rate) * (Number(sampleSumOfSquares) || 0));
+
+  return buildInterval(sampling, Number(estimate) || 0, margin, Number(sampleSize) || 0, 2);
+}
+
+/**
+ * Interval for a percentage (0-100) measured on sampleSize sampled units,
+ * with the finite population correction for the sampling rate
+ */
+function percentageInterval(percentage, sampleSize, sampling) {
+  const size = Math.round(Number(sampleSize) || 0);
+  const proportion = (Number(percentage) || 0) / 100;
+  const margin = size > 0
+    ? Z_95 * 100 * Math.sqrt((proportion * (1 - proportion) / size) * (1 - sampling.sampling_rate))
+    : 0;
+
+  return buildInterval(sampling, Number(percentage) || 0, margin, size, 1, 0, 100);
+}
+
+/**
+ * True when any interval in a chart's data points is flagged low_sample
+ */
+function hasLowSample(points) {
+  return points.some(point => Object.values(point.confidence_intervals || {}).some(interval => interval.low_sample));
+}
+
+module.exports = {
+  SAMPLING_MODES,
+  DEFAULT_SAMPLING_MODE,
+  DEFAULT_SAMPLING_SEED,
+  MAX_SAMPLING_SEED,
+  MIN_RELIABLE_SAMPLE,
+  isValidSamplingMode,
+  isValidSamplingSeed,
+  resolveSamplingMode,
+  getSampling,
+  describeSampling,
+  countInterval,
+  sumInterval,
+  percentageInterval,
+  hasLowSample
+};
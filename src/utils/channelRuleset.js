@@ -0,0 +1,88 @@
+/**
+ * CHANNEL RULESET PARSING
+ *
+ * Validation and glob -> LIKE translation for the channel rule file (src/config/channelRules.json).
+ * Kept free of Prisma so it can be checked without a generated client; sql/channelRules.js
+ * compiles the validated ruleset into the CASE expression.
+ */
+
+// Rule fields and the SQL they match against (referrer_domain comes from REFERRER_DOMAIN_APPLY)
+const MATCH_FIELDS = {
+  utm_source: 'utm_source',
+  utm_medium: 'utm_medium',
+  utm_campaign: 'utm_campaign',
+  referrer_domain: 'referrer.referrer_domain'
+};
+
+/**
+ * Glob -> LIKE pattern, escaping LIKE's own wildcards first
+ */
+function globToLike(glob) {
+  return glob
+    .toLowerCase()
+    .replace(/\[/g, '[[]')
+    .replace(/%/g, '[%]')
+    .replace(/_/g, '[_]')
+    .replace(/\*/g, '%')
+    .replace(/\?/g, '_');
+}
+
+/**
+ * Validate the parsed rule file and normalise every match value to an array of strings
+ * Throws with a message naming the offending rule
+ */
+function validateRuleset(ruleset) {
+  if (!ruleset || typeof ruleset !== 'object') {
+    throw new Error('Rule file must contain a JSON object');
+  }
+  if (typeof ruleset.version !== 'string' || ruleset.version.trim() === '') {
+    throw new Error('"version" must be a non-empty string');
+  }
+  if (!Array.isArray(ruleset.rules) || ruleset.rules.length === 0) {
+    throw new Error('"rules" must be a non-empty array');
+  }
+
+  const rules = ruleset.rules.map((rule, index) => {
+    const label = `rules[${index}]`;
+
+    if (typeof rule.channel !== 'string' || rule.channel.trim() === '') {
+      throw new Error(`${label}: "channel" must be a non-empty string`);
+    }
+    if (!Number.isInteger(rule.priority)) {
+      throw new Error(`${label} (${rule.channel}): "priority" must be an integer`);
+    }
+    if (!rule.match || typeof rule.match !== 'object' || Object.keys(rule.match).length === 0) {
+      throw new Error(`${label} (${rule.channel}): "match" must list at least one field`);
+    }
+
+    const match = {};
+    Object.keys(rule.match).forEach(field => {
+      if (!MATCH_FIELDS[field]) {
+        throw new Error(`${label} (${rule.channel}): unknown match field "${field}". Use: ${Object.keys(MATCH_FIELDS).join(', ')}`);
+      }
+
+      const patterns = [].concat(rule.match[field]);
+      if (patterns.length === 0 || patterns.some(pattern => typeof pattern !== 'string')) {
+        throw new Error(`${label} (${rule.channel}): "${field}" must be a string or an array of strings`);
+      }
+      match[field] = patterns;
+    });
+
+    return { priority: rule.priority, channel: rule.channel, match };
+  });
+
+  // Stable sort keeps file order for equal priorities
+  rules.sort((a, b) => a.priority - b.priority);
+
+  return {
+    version: ruleset.version,
+    default_channel: ruleset.default_channel || 'Other',
+    rules
+  };
+}
+
+module.exports = {
+  MATCH_FIELDS,
+  globToLike,
+  validateRuleset
+};
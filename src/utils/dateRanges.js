@@ -0,0 +1,92 @@
+/**
+ * COMPARISON DATE RANGES
+ *
+ * Month-over-month / year-over-year windows for the summary cards and the previous-period
+ * window used by the charts, on YYYY-MM-DD strings.
+ * Kept free of Prisma so it can be checked without a generated client.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = date => date.toISOString().split('T')[0];
+
+/**
+ * Shift a YYYY-MM-DD date by whole months/years, clamping to the last day of the
+ * target month the same way SQL Server's DATEADD does (2025-03-31 - 1 month = 2025-02-28)
+ */
+function shiftDate(dateString, { months = 0, years = 0 } = {}) {
+  const date = new Date(dateString);
+  const totalMonths = date.getUTCFullYear() * 12 + date.getUTCMonth() + months + years * 12;
+  const year = Math.floor(totalMonths / 12);
+  const month = totalMonths - year * 12;
+  const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const day = Math.min(date.getUTCDate(), lastDayOfMonth);
+
+  return formatDate(new Date(Date.UTC(year, month, day)));
+}
+
+/**
+ * Last day of the month a YYYY-MM-DD date falls in
+ */
+function endOfMonth(dateString) {
+  const date = new Date(dateString);
+  return formatDate(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)));
+}
+
+/**
+ * True when the range starts on the 1st and ends on the last day of a month,
+ * e.g. 2025-04-01..2025-04-30 or 2025-01-01..2025-03-31
+ */
+function isWholeMonths(fromDate, toDate) {
+  return new Date(fromDate).getUTCDate() === 1 && endOfMonth(toDate) === toDate && fromDate <= toDate;
+}
+
+/**
+ * Shift a range back by whole months/years.
+ * Whole calendar months map onto the whole earlier months (Apr 1-30 -> Mar 1-31);
+ * any other range moves its start date and keeps its length in days.
+ */
+function shiftRange(fromDate, toDate, offset) {
+  const from = shiftDate(fromDate, offset);
+
+  if (isWholeMonths(fromDate, toDate)) {
+    return { from, to: endOfMonth(shiftDate(toDate, offset)) };
+  }
+
+  const lengthMs = new Date(toDate) - new Date(fromDate);
+  return { from, to: formatDate(new Date(new Date(from).getTime() + lengthMs)) };
+}
+
+/**
+ * Comparison windows used by the summary cards:
+ * the range one month (MoM) and one year (YoY) earlier
+ */
+function getComparisonPeriods(fromDate, toDate) {
+  return {
+    current: { from: fromDate, to: toDate },
+    previous_month: shiftRange(fromDate, toDate, { months: -1 }),
+    previous_year: shiftRange(fromDate, toDate, { years: -1 })
+  };
+}
+
+/**
+ * The window of the same length ending the day before fromDate
+ * (2025-07-08..2025-07-14 -> 2025-07-01..2025-07-07), for previous-period comparisons
+ */
+function getPreviousPeriod(fromDate, toDate) {
+  const from = new Date(fromDate);
+  const lengthDays = Math.round((new Date(toDate) - from) / DAY_MS) + 1;
+
+  return {
+    from: formatDate(new Date(from.getTime() - lengthDays * DAY_MS)),
+    to: formatDate(new Date(from.getTime() - DAY_MS))
+  };
+}
+
+module.exports = {
+  shiftDate,
+  endOfMonth,
+  isWholeMonths,
+  getComparisonPeriods,
+  getPreviousPeriod
+};
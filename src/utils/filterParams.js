@@ -0,0 +1,91 @@
+/**
+ * FILTER PARAMETER PARSING
+ *
+ * Parsing of the hotel= / brand= / country= / destination= query parameters described in
+ * sql/filters.js. Kept free of Prisma so it can be checked without a generated client;
+ * sql/filters.js turns the parsed filters into WHERE-clause fragments.
+ */
+
+const FILTER_COLUMNS = {
+  hotel: 'hotel_name',
+  brand: 'hotel_brand',
+  country: 'hotel_country',
+  destination: 'sitedestination'
+};
+
+const FILTER_PARAMS = Object.keys(FILTER_COLUMNS);
+const AGGREGATE_FILTER_PARAMS = ['destination'];
+const MAX_VALUES_PER_FILTER = 50;
+const MAX_VALUE_LENGTH = 100;
+
+// HotelID values of the pre-aggregated tables that are not a property: site-wide pages.
+// NULL HotelID rows are traffic not attributed to any property.
+const PORTFOLIO_HOTEL_IDS = ['global'];
+
+/**
+ * Parse filter query parameters into { filters, errors }
+ * filters only contains the parameters that were provided, e.g. { hotel: ['Pan Pacific Singapore'] }
+ */
+function parseFilters(query) {
+  const filters = {};
+  const errors = [];
+
+  FILTER_PARAMS.forEach(param => {
+    const rawValue = query[param];
+    if (rawValue === undefined || rawValue === '') return;
+
+    // Repeated params (?hotel=a&hotel=b) arrive as arrays
+    const values = [].concat(rawValue)
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(value => value !== '');
+
+    if (values.length === 0) return;
+
+    if (values.length > MAX_VALUES_PER_FILTER) {
+      errors.push(`"${param}" accepts at most ${MAX_VALUES_PER_FILTER} values`);
+    } else if (values.some(value => value.length > MAX_VALUE_LENGTH)) {
+      errors.push(`"${param}" values must be at most ${MAX_VALUE_LENGTH} characters`);
+    } else {
+      filters[param] = [...new Set(values)];
+    }
+  });
+
+  return { filters, errors };
+}
+
+function hasFilters(filters) {
+  return !!filters && Object.keys(filters).length > 0;
+}
+
+/**
+ * Turn hotel= / brand= / country= filters into the property codes (destination=) of the
+ * matching hotels, for the pre-aggregated tables that only carry HotelID.
+ * hotels are { hotel, brand, country, destination } rows as listed by getL1FilterOptions.
+ * Matching ignores case like the SQL Server collation; a destination= filter is intersected
+ * with the matches, and the result is empty when no hotel matches.
+ */
+function toHotelIdFilters(filters, hotels) {
+  const propertyParams = Object.keys(filters).filter(param => !AGGREGATE_FILTER_PARAMS.includes(param));
+  if (propertyParams.length === 0) return filters;
+
+  const lower = value => String(value || '').toLowerCase();
+  const matches = (param, value) => filters[param].some(filterValue => lower(filterValue) === lower(value));
+
+  const codes = [...new Set(hotels
+    .filter(hotel => propertyParams.every(param => matches(param, hotel[param])))
+    .map(hotel => hotel.destination)
+    .filter(code => code && !PORTFOLIO_HOTEL_IDS.includes(lower(code))))];
+
+  return { destination: filters.destination ? codes.filter(code => matches('destination', code)) : codes };
+}
+
+module.exports = {
+  FILTER_COLUMNS,
+  FILTER_PARAMS,
+  AGGREGATE_FILTER_PARAMS,
+  PORTFOLIO_HOTEL_IDS,
+  parseFilters,
+  hasFilters,
+  toHotelIdFilters
+};
@@ -0,0 +1,79 @@
+/**
+ * LEAD-TIME BUCKETS
+ *
+ * buckets= parsing and the histogram / median / P90 summary behind the booking lead-time
+ * chart (charts/conversionCharts.js). Kept free of Prisma so it can be checked without a
+ * generated client.
+ */
+
+// Lead-time histogram upper bounds in days (inclusive): 0-1, 2-7, 8-30, 31-90, 90+
+const DEFAULT_LEAD_TIME_BOUNDS = [1, 7, 30, 90];
+const MAX_LEAD_TIME_BOUNDS = 12;
+
+/**
+ * Parse the buckets= parameter ("1,7,30,90" - ascending upper bounds in days) into
+ * { bounds, errors }; defaults to DEFAULT_LEAD_TIME_BOUNDS
+ */
+function parseLeadTimeBuckets(value) {
+  if (value === undefined || value === '') return { bounds: DEFAULT_LEAD_TIME_BOUNDS, errors: [] };
+
+  const parts = String(value).split(',').map(part => part.trim());
+  const bounds = parts.map(Number);
+  const valid = parts.every(part => /^\d+$/.test(part))
+    && bounds.length <= MAX_LEAD_TIME_BOUNDS
+    && bounds.every((bound, index) => index === 0 || bound > bounds[index - 1]);
+
+  return valid
+    ? { bounds, errors: [] }
+    : { bounds: null, errors: [`"buckets" must be up to ${MAX_LEAD_TIME_BOUNDS} ascending whole-day upper bounds, e.g. ${DEFAULT_LEAD_TIME_BOUNDS.join(',')}`] };
+}
+
+/**
+ * Lead-time statistics from { lead_time_days, bookings } frequency rows:
+ * histogram over bounds, median / P90 (nearest rank) and average
+ */
+function summarizeLeadTimes(rows, bounds) {
+  const frequencies = rows
+    .map(row => ({ days: Number(row.lead_time_days), bookings: Number(row.bookings) || 0 }))
+    .sort((a, b) => a.days - b.days);
+  const totalBookings = frequencies.reduce((sum, row) => sum + row.bookings, 0);
+
+  const percentile = p => {
+    if (totalBookings === 0) return null;
+    const rank = Math.ceil((p / 100) * totalBookings);
+    let seen = 0;
+    return frequencies.find(row => (seen += row.bookings) >= rank).days;
+  };
+
+  const histogram = [...bounds, null].map((max, index) => {
+    const min = index === 0 ? 0 : bounds[index - 1] + 1;
+    const bookings = frequencies
+      .filter(row => row.days >= min && (max === null || row.days <= max))
+      .reduce((sum, row) => sum + row.bookings, 0);
+
+    return {
+      bucket: max === null ? `${bounds[bounds.length - 1]}+` : `${min}-${max}`,
+      min_days: min,
+      max_days: max,
+      bookings,
+      percentage: totalBookings > 0 ? Math.round((bookings / totalBookings) * 1000) / 10 : 0
+    };
+  });
+
+  const totalDays = frequencies.reduce((sum, row) => sum + row.days * row.bookings, 0);
+
+  return {
+    total_bookings: totalBookings,
+    median_days: percentile(50),
+    p90_days: percentile(90),
+    average_days: totalBookings > 0 ? Math.round((totalDays / totalBookings) * 10) / 10 : null,
+    histogram
+  };
+}
+
+module.exports = {
+  DEFAULT_LEAD_TIME_BOUNDS,
+  MAX_LEAD_TIME_BOUNDS,
+  parseLeadTimeBuckets,
+  summarizeLeadTimes
+};
@@ -0,0 +1,43 @@
+/**
+ * REPORT SORTING
+ *
+ * sort= / order= / min_volume= parsing for the dimension reports (l1DimensionReportService.js).
+ * Kept free of Prisma so it can be checked without a generated client.
+ */
+
+const SORT_FIELDS = ['views', 'selections', 'bookings', 'room_nights', 'revenue', 'abv', 'avg_booked_rate', 'conversion_rate'];
+const SORT_ORDERS = ['desc', 'asc'];
+const DEFAULT_SORTING = { sort: 'revenue', order: 'desc', min_volume: 0 };
+
+/**
+ * Parse sort= (SORT_FIELDS), order= (desc | asc) and min_volume= (minimum views)
+ * query parameters into { sorting, errors }
+ */
+function parseReportSorting(query) {
+  const errors = [];
+  const sorting = { ...DEFAULT_SORTING };
+
+  if (query.sort !== undefined) {
+    if (SORT_FIELDS.includes(query.sort)) sorting.sort = query.sort;
+    else errors.push(`"sort" must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  if (query.order !== undefined) {
+    if (SORT_ORDERS.includes(query.order)) sorting.order = query.order;
+    else errors.push(`"order" must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  if (query.min_volume !== undefined) {
+    if (/^\d+$/.test(String(query.min_volume))) sorting.min_volume = Number(query.min_volume);
+    else errors.push('"min_volume" must be a non-negative integer (minimum views)');
+  }
+
+  return { sorting, errors };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  SORT_ORDERS,
+  DEFAULT_SORTING,
+  parseReportSorting
+};
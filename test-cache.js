@@ -0,0 +1,104 @@
+/**
+ * RESULT CACHE TEST
+ *
+ * Exercises the cache layer with no services running:
+ * REDIS_URL is cleared so the in-process LRU fallback is used.
+ */
+
+delete process.env.REDIS_URL;
+
+const assert = require('assert');
+const { withCache, buildCacheKey, purgeCache, getCacheStats, LRUCache } = require('./src/services/cacheService');
+
+async function testCache() {
+  console.log('🔍 Testing L1 Result Cache (in-process LRU fallback)');
+  console.log('===================================================');
+
+  // Test 1: key pattern from the spec
+  console.log('🔑 Test 1: Cache key pattern');
+  assert.strictEqual(
+    buildCacheKey('getL1UniqueVisitors', '2025-07-01', '2025-07-07'),
+    'l1_getL1UniqueVisitors_2025-07-01_2025-07-07_all'
+  );
+  assert.strictEqual(
+    buildCacheKey('getL1UniqueVisitorsSeries', '2025-07-01', '2025-07-07', 'week'),
+    'l1_getL1UniqueVisitorsSeries_2025-07-01_2025-07-07_week'
+  );
+  console.log('✅ Keys follow l1_${functionName}_${fromDate}_${toDate}_${property}');
+
+  // Test 2: hits, misses and failed results
+  console.log('💾 Test 2: Hit / miss behaviour');
+  let calls = 0;
+  const fakeMetric = withCache('fakeMetric', 'key_metrics', async (fromDate, toDate) => {
+    calls++;
+    return { value: calls, success: true, cached: false };
+  });
+
+  const first = await fakeMetric('2025-07-01', '2025-07-07');
+  const second = await fakeMetric('2025-07-01', '2025-07-07');
+  const otherRange = await fakeMetric('2025-08-01', '2025-08-07');
+
+  assert.strictEqual(first.cached, false);
+  assert.strictEqual(second.cached, true);
+  assert.strictEqual(second.value, first.value);
+  assert.strictEqual(otherRange.cached, false);
+  assert.strictEqual(calls, 2);
+
+  let failingCalls = 0;
+  const failingMetric = withCache('failingMetric', 'charts', async () => {
+    failingCalls++;
+    return { success: false, error: 'boom' };
+  });
+  await failingMetric('2025-07-01', '2025-07-07');
+  await failingMetric('2025-07-01', '2025-07-07');
+  assert.strictEqual(failingCalls, 2);
+  console.log('✅ Repeated requests are served from cache, failures are not cached');
+
+  // Test 3: purge by date range overlap, then by endpoint
+  console.log('🧹 Test 3: Purge by date range and endpoint');
+  const byRange = await purgeCache({ from: '2025-07-05', to: '2025-07-05' });
+  assert.strictEqual(byRange.deleted, 1);
+  assert.strictEqual((await fakeMetric('2025-08-01', '2025-08-07')).cached, true);
+
+  const byEndpoint = await purgeCache({ endpoint: 'fakeMetric' });
+  assert.strictEqual(byEndpoint.deleted, 1);
+  assert.strictEqual((await fakeMetric('2025-08-01', '2025-08-07')).cached, false);
+  console.log('✅ Purge removes only matching keys');
+
+  // Test 4: LRU eviction and expiry
+  console.log('♻️  Test 4: LRU eviction');
+  const lru = new LRUCache(2);
+  lru.set('a', '1', 60);
+  lru.set('b', '2', 60);
+  lru.get('a');
+  lru.set('c', '3', 60);
+  assert.strictEqual(lru.get('b'), null);
+  assert.strictEqual(lru.get('a'), '1');
+  lru.set('expired', '4', -1);
+  assert.strictEqual(lru.get('expired'), null);
+  console.log('✅ Least recently used and expired entries are dropped');
+
+  // Test 5: results JSON can't serialize are returned uncached
+  console.log('🧮 Test 5: Unserializable results');
+  const errorsBefore = (await getCacheStats()).errors;
+  const bigIntMetric = withCache('bigIntMetric', 'key_metrics', async () => {
+    return { value: BigInt(7), success: true, cached: false };
+  });
+  const bigIntResult = await bigIntMetric('2025-07-01', '2025-07-07');
+  assert.strictEqual(bigIntResult.value, BigInt(7));
+  assert.strictEqual(bigIntResult.cached, false);
+  assert.strictEqual((await bigIntMetric('2025-07-01', '2025-07-07')).cached, false);
+  assert.strictEqual((await getCacheStats()).errors, errorsBefore + 2);
+  console.log('✅ Failed cache writes are counted and the result is still returned');
+
+  const stats = await getCacheStats();
+  assert.strictEqual(stats.backend, 'memory');
+  console.log('');
+  console.log(`📊 Cache stats: ${stats.hits} hits, ${stats.misses} misses, backend: ${stats.backend}`);
+  console.log('🎉 All cache tests passed');
+}
+
+testCache().catch(error => {
+  console.error('❌ Cache test failed:', error);
+  process.exit(1);
+});
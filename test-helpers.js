@@ -0,0 +1,236 @@
+/**
+ * HELPER TEST
+ *
+ * Exercises the pure helpers behind the L1 endpoints (src/utils) with no database
+ * and no generated Prisma client: channel rule validation and glob matching,
+ * filter parameter parsing and property codes, the summary card comparison periods,
+ * lead-time bucketing and report sorting.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { globToLike, validateRuleset } = require('./src/utils/channelRuleset');
+const { parseFilters, toHotelIdFilters } = require('./src/utils/filterParams');
+const { shiftDate, getComparisonPeriods, getPreviousPeriod } = require('./src/utils/dateRanges');
+const { DEFAULT_LEAD_TIME_BOUNDS, parseLeadTimeBuckets, summarizeLeadTimes } = require('./src/utils/leadTimes');
+const { SORT_FIELDS, parseReportSorting } = require('./src/utils/reportSorting');
+
+const SHIPPED_RULES_PATH = path.join(__dirname, 'src', 'config', 'channelRules.json');
+
+/**
+ * LIKE pattern (as produced by globToLike) -> RegExp, so rules can be evaluated in JS
+ */
+function likeToRegExp(likePattern) {
+  const source = likePattern
+    .split(/(\[\[\]|\[%\]|\[_\]|%|_)/)
+    .map(part => {
+      if (part === '[[]') return '\\[';
+      if (part === '[%]') return '%';
+      if (part === '[_]') return '_';
+      if (part === '%') return '.*';
+      if (part === '_') return '.';
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * First-match classification mirroring the compiled CASE expression
+ */
+function classify(ruleset, row) {
+  const fieldMatches = (field, pattern) => {
+    const value = (row[field] || '').toLowerCase();
+    if (pattern === '') return value === '';
+
+    const regex = likeToRegExp(globToLike(pattern));
+    if (field === 'referrer_domain') {
+      return regex.test(value) || likeToRegExp(`%.${globToLike(pattern)}`).test(value);
+    }
+    return regex.test(value);
+  };
+
+  const rule = ruleset.rules.find(candidate => Object.keys(candidate.match)
+    .every(field => candidate.match[field].some(pattern => fieldMatches(field, pattern))));
+
+  return rule ? rule.channel : ruleset.default_channel;
+}
+
+async function testHelpers() {
+  console.log('🔍 Testing L1 helpers (channel rules, filters, dates, lead times, report sorting)');
+  console.log('================================================================================');
+
+  // Test 1: glob -> LIKE
+  console.log('🔤 Test 1: Channel rule globs to LIKE patterns');
+  assert.strictEqual(globToLike('*Email*'), '%email%');
+  assert.strictEqual(globToLike('google_hotel*'), 'google[_]hotel%');
+  assert.strictEqual(globToLike('?*'), '_%');
+  assert.strictEqual(globToLike('100%'), '100[%]');
+  assert.strictEqual(globToLike('[promo]'), '[[]promo]');
+  assert.ok(likeToRegExp(globToLike('google.*')).test('google.co.uk'));
+  assert.ok(!likeToRegExp(globToLike('google_hotel*')).test('googleXhotel'));
+  console.log('✅ Globs are lower-cased and LIKE wildcards in them are escaped');
+
+  // Test 2: rule validation and priority order
+  console.log('🔢 Test 2: Rule priority and validation');
+  const ruleset = validateRuleset({
+    version: 'test',
+    rules: [
+      { priority: 20, channel: 'Second', match: { utm_source: 'b*' } },
+      { priority: 10, channel: 'First', match: { utm_source: ['a*'] } },
+      { priority: 20, channel: 'Third', match: { utm_source: 'c*' } }
+    ]
+  });
+  assert.deepStrictEqual(ruleset.rules.map(rule => rule.channel), ['First', 'Second', 'Third']);
+  assert.deepStrictEqual(ruleset.rules[1].match, { utm_source: ['b*'] });
+  assert.strictEqual(ruleset.default_channel, 'Other');
+  assert.throws(
+    () => validateRuleset({ version: 'test', rules: [{ priority: 1, channel: 'X', match: { utm_term: 'x' } }] }),
+    /unknown match field "utm_term"/
+  );
+  assert.throws(
+    () => validateRuleset({ version: 'test', rules: [{ priority: 1.5, channel: 'X', match: { utm_source: 'x' } }] }),
+    /"priority" must be an integer/
+  );
+  console.log('✅ Rules run by ascending priority, file order breaks ties, bad rules are rejected');
+
+  // Test 3: the shipped rule file
+  console.log('🗂️  Test 3: Shipped channel rules');
+  // Same validation sql/channelRules.js runs before compiling the CASE expression in rule order
+  const channelRules = validateRuleset(JSON.parse(fs.readFileSync(SHIPPED_RULES_PATH, 'utf8')));
+  const priorities = channelRules.rules.map(rule => rule.priority);
+  assert.deepStrictEqual(priorities, [...priorities].sort((a, b) => a - b));
+
+  const expectations = [
+    [{ utm_source: 'google', utm_medium: 'CPC' }, 'Paid Search'],
+    [{ utm_source: 'July_Newsletter' }, 'Email'],
+    [{ utm_source: 'facebook', utm_medium: 'cpc' }, 'Paid Search'],
+    [{ utm_source: 'Instagram' }, 'Social Media'],
+    [{ utm_source: 'tripadvisor' }, 'Metasearch'],
+    [{ utm_source: 'somesite' }, 'UTM Campaign'],
+    [{ referrer_domain: 'www.google.com' }, 'Organic Search'],
+    [{ referrer_domain: 'm.facebook.com' }, 'Social Media'],
+    [{ referrer_domain: '' }, 'Direct'],
+    [{ referrer_domain: 'example.com' }, 'Other']
+  ];
+  expectations.forEach(([row, channel]) => {
+    assert.strictEqual(classify(channelRules, row), channel, `${JSON.stringify(row)} should be ${channel}`);
+  });
+  console.log(`✅ ${expectations.length} sample visits land in the expected channel (rules ${channelRules.version})`);
+
+  // Test 4: filter parsing
+  console.log('🏨 Test 4: Filter parsing');
+  assert.deepStrictEqual(
+    parseFilters({ hotel: 'Pan Pacific Singapore, PARKROYAL', brand: ['Pan Pacific', 'Pan Pacific'], country: '', from: '2025-07-01' }),
+    { filters: { hotel: ['Pan Pacific Singapore', 'PARKROYAL'], brand: ['Pan Pacific'] }, errors: [] }
+  );
+  assert.deepStrictEqual(parseFilters({ destination: ' , ' }), { filters: {}, errors: [] });
+
+  const tooMany = parseFilters({ destination: Array.from({ length: 51 }, (_, index) => `p${index}`).join(',') });
+  assert.deepStrictEqual(tooMany.filters, {});
+  assert.deepStrictEqual(tooMany.errors, ['"destination" accepts at most 50 values']);
+
+  const tooLong = parseFilters({ hotel: 'x'.repeat(101) });
+  assert.deepStrictEqual(tooLong.errors, ['"hotel" values must be at most 100 characters']);
+  console.log('✅ Comma lists and repeated params are split, trimmed and de-duplicated; limits are enforced');
+
+  // Test 5: summary card comparison periods
+  console.log('📅 Test 5: Comparison periods');
+  assert.strictEqual(shiftDate('2025-03-31', { months: -1 }), '2025-02-28');
+  assert.strictEqual(shiftDate('2024-02-29', { years: -1 }), '2023-02-28');
+  assert.strictEqual(shiftDate('2025-01-15', { months: -1 }), '2024-12-15');
+
+  // Whole calendar months compare against the whole earlier months
+  const april = getComparisonPeriods('2025-04-01', '2025-04-30');
+  assert.deepStrictEqual(april.previous_month, { from: '2025-03-01', to: '2025-03-31' });
+  assert.deepStrictEqual(april.previous_year, { from: '2024-04-01', to: '2024-04-30' });
+  assert.deepStrictEqual(getComparisonPeriods('2025-03-01', '2025-03-31').previous_month, { from: '2025-02-01', to: '2025-02-28' });
+  assert.deepStrictEqual(getComparisonPeriods('2024-02-01', '2024-02-29').previous_year, { from: '2023-02-01', to: '2023-02-28' });
+  assert.deepStrictEqual(getComparisonPeriods('2025-01-01', '2025-03-31').previous_month, { from: '2024-12-01', to: '2025-02-28' });
+
+  // Other ranges keep their length
+  assert.deepStrictEqual(getComparisonPeriods('2025-07-08', '2025-07-14').previous_month, { from: '2025-06-08', to: '2025-06-14' });
+  assert.deepStrictEqual(getComparisonPeriods('2025-03-15', '2025-03-31').previous_month, { from: '2025-02-15', to: '2025-03-03' });
+  console.log('✅ Whole months compare with whole months, other ranges are shifted keeping their length');
+
+  // Test 6: lead-time buckets and statistics
+  console.log('⏱️  Test 6: Lead-time buckets');
+  assert.deepStrictEqual(parseLeadTimeBuckets(undefined), { bounds: DEFAULT_LEAD_TIME_BOUNDS, errors: [] });
+  assert.deepStrictEqual(parseLeadTimeBuckets(' 3, 14,60 '), { bounds: [3, 14, 60], errors: [] });
+  ['7,1', '1,1', '1,x', '-1,7', '1.5', Array.from({ length: 13 }, (_, index) => index + 1).join(',')].forEach(value => {
+    const parsed = parseLeadTimeBuckets(value);
+    assert.strictEqual(parsed.bounds, null, `"${value}" should be rejected`);
+    assert.strictEqual(parsed.errors.length, 1);
+  });
+
+  const leadTimes = summarizeLeadTimes([
+    { lead_time_days: 120, bookings: 2 },
+    { lead_time_days: 0, bookings: 2 },
+    { lead_time_days: 3, bookings: 3 },
+    { lead_time_days: 45, bookings: 2 },
+    { lead_time_days: 10, bookings: BigInt(1) }
+  ], DEFAULT_LEAD_TIME_BOUNDS);
+  assert.strictEqual(leadTimes.total_bookings, 10);
+  assert.strictEqual(leadTimes.median_days, 3);
+  assert.strictEqual(leadTimes.p90_days, 120);
+  assert.strictEqual(leadTimes.average_days, 34.9);
+  assert.deepStrictEqual(
+    leadTimes.histogram.map(bucket => [bucket.bucket, bucket.min_days, bucket.max_days, bucket.bookings, bucket.percentage]),
+    [['0-1', 0, 1, 2, 20], ['2-7', 2, 7, 3, 30], ['8-30', 8, 30, 1, 10], ['31-90', 31, 90, 2, 20], ['90+', 91, null, 2, 20]]
+  );
+
+  const noBookings = summarizeLeadTimes([], [7]);
+  assert.strictEqual(noBookings.median_days, null);
+  assert.strictEqual(noBookings.average_days, null);
+  assert.deepStrictEqual(noBookings.histogram.map(bucket => bucket.bucket), ['0-7', '7+']);
+
+  // Previous-period comparison window: same length, ending the day before from
+  assert.deepStrictEqual(getPreviousPeriod('2025-07-08', '2025-07-14'), { from: '2025-07-01', to: '2025-07-07' });
+  assert.deepStrictEqual(getPreviousPeriod('2025-03-01', '2025-03-31'), { from: '2025-01-29', to: '2025-02-28' });
+  console.log('✅ Bucket bounds are validated; histogram, median, P90, average and the previous period are right');
+
+  // Test 7: report sorting
+  console.log('📊 Test 7: Report sorting');
+  assert.deepStrictEqual(parseReportSorting({}), { sorting: { sort: 'revenue', order: 'desc', min_volume: 0 }, errors: [] });
+  assert.deepStrictEqual(
+    parseReportSorting({ sort: 'conversion_rate', order: 'asc', min_volume: '25' }),
+    { sorting: { sort: 'conversion_rate', order: 'asc', min_volume: 25 }, errors: [] }
+  );
+  SORT_FIELDS.forEach(field => {
+    assert.strictEqual(parseReportSorting({ sort: field }).sorting.sort, field);
+  });
+
+  const badSorting = parseReportSorting({ sort: 'revenue; DROP TABLE x', order: 'up', min_volume: '-5' });
+  assert.deepStrictEqual(badSorting.sorting, { sort: 'revenue', order: 'desc', min_volume: 0 });
+  assert.strictEqual(badSorting.errors.length, 3);
+  assert.ok(badSorting.errors[0].startsWith('"sort" must be one of:'));
+  assert.ok(badSorting.errors[1].startsWith('"order" must be one of:'));
+  assert.ok(badSorting.errors[2].startsWith('"min_volume" must be a non-negative integer'));
+  assert.strictEqual(parseReportSorting({ min_volume: '1.5' }).errors.length, 1);
+  console.log('✅ Only whitelisted sort fields and orders are accepted, min_volume must be a whole number');
+
+  // Test 8: property codes for the pre-aggregated tables
+  console.log('🏷️  Test 8: Property filters to HotelID codes');
+  const hotels = [
+    { hotel: 'Pan Pacific Singapore', brand: 'Pan Pacific', country: 'Singapore', destination: 'ppsin' },
+    { hotel: 'PARKROYAL COLLECTION Marina Bay', brand: 'PARKROYAL COLLECTION', country: 'Singapore', destination: 'pcmb' },
+    { hotel: 'Pan Pacific London', brand: 'Pan Pacific', country: 'United Kingdom', destination: 'pplon' },
+    { hotel: 'Pan Pacific Offers', brand: 'Pan Pacific', country: 'Singapore', destination: 'global' },
+    { hotel: 'Pan Pacific Orchard', brand: 'Pan Pacific', country: 'Singapore', destination: null }
+  ];
+  assert.deepStrictEqual(toHotelIdFilters({ destination: ['ppsin'] }, hotels), { destination: ['ppsin'] });
+  assert.deepStrictEqual(toHotelIdFilters({ brand: ['pan pacific'] }, hotels), { destination: ['ppsin', 'pplon'] });
+  assert.deepStrictEqual(toHotelIdFilters({ brand: ['Pan Pacific'], country: ['Singapore'] }, hotels), { destination: ['ppsin'] });
+  assert.deepStrictEqual(toHotelIdFilters({ country: ['Singapore'], destination: ['pcmb', 'pplon'] }, hotels), { destination: ['pcmb'] });
+  assert.deepStrictEqual(toHotelIdFilters({ hotel: ['Unknown Hotel'] }, hotels), { destination: [] });
+  console.log('✅ hotel / brand / country map to the matching property codes, never to \'global\'');
+
+  console.log('');
+  console.log('🎉 All helper tests passed');
+}
+
+testHelpers().catch(error => {
+  console.error('❌ Helper test failed:', error);
+  process.exit(1);
+});